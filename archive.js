@@ -0,0 +1,179 @@
+/**
+ * pdf2square archives - zip and tar writers that stream each file to a
+ * writable as soon as it is added, so the CLI can package a conversion for
+ * stdout without temporary files
+ *
+ * Entries are whole Buffers (a page image or text file), which keeps both
+ * formats simple: sizes and checksums are known before the data is written.
+ * Archives are limited to 4 GiB, the size plain zip can describe.
+ */
+
+import { once } from 'node:events';
+import { crc32, deflateRawSync } from 'node:zlib';
+
+// Formats createArchive() writes; each is also its file extension
+export const ARCHIVE_FORMATS = ['zip', 'tar'];
+
+const TAR_BLOCK = 512;
+const ZIP_LIMIT = 0xffffffff;
+
+/**
+ * Start a zip or tar archive on a writable stream.
+ * @param {'zip' | 'tar'} format - Archive format
+ * @param {import('node:stream').Writable} stream - Where the archive goes; it is not ended
+ * @returns {{ add: (name: string, data: Buffer | string) => Promise<void>, finish: () => Promise<void> }} add() writes one file ('/'-separated name), finish() the end of the archive
+ */
+export function createArchive(format, stream) {
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown archive format '${format}'; use ${
+        ARCHIVE_FORMATS.join(' or ')
+      }.`,
+    );
+  }
+  const mtime = new Date();
+  // Entries of the zip central directory, written by finish()
+  const entries = [];
+  let offset = 0;
+  // Writes run one after another, in the order add() was called
+  let writing = Promise.resolve();
+
+  const write = async (chunk) => {
+    offset += chunk.length;
+    if (!stream.write(chunk)) await once(stream, 'drain');
+  };
+  const queue = (fn) => {
+    writing = writing.then(fn);
+    return writing;
+  };
+
+  if (format === 'tar') {
+    return {
+      add: (name, data) =>
+        queue(async () => {
+          const bytes = Buffer.from(data);
+          await write(tarHeader(name, bytes.length, mtime));
+          await write(bytes);
+          await write(Buffer.alloc(padding(bytes.length)));
+        }),
+      // Two empty blocks end a tar archive
+      finish: () => queue(() => write(Buffer.alloc(TAR_BLOCK * 2))),
+    };
+  }
+
+  return {
+    add: (name, data) =>
+      queue(async () => {
+        const bytes = Buffer.from(data);
+        // Images are compressed already; deflate only what it shrinks
+        const deflated = deflateRawSync(bytes);
+        const stored = deflated.length >= bytes.length;
+        const entry = {
+          name: Buffer.from(name),
+          method: stored ? 0 : 8,
+          crc: crc32(bytes),
+          size: bytes.length,
+          compressedSize: stored ? bytes.length : deflated.length,
+          offset,
+        };
+        if (offset + entry.compressedSize > ZIP_LIMIT) {
+          throw new Error('Zip archives cannot be larger than 4 GiB.');
+        }
+        entries.push(entry);
+        await write(zipHeader(0x04034b50, entry, mtime));
+        await write(stored ? bytes : deflated);
+      }),
+    finish: () =>
+      queue(async () => {
+        const start = offset;
+        for (const entry of entries) {
+          await write(zipHeader(0x02014b50, entry, mtime));
+        }
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(entries.length, 8);
+        end.writeUInt16LE(entries.length, 10);
+        end.writeUInt32LE(offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        await write(end);
+      }),
+  };
+}
+
+/* ----------------- Helper Functions ----------------- */
+
+// Zero bytes that fill a tar entry of `size` bytes up to a whole block
+function padding(size) {
+  return (TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK;
+}
+
+// ustar header of a regular file; names over 100 bytes are split at a '/'
+// into prefix and name
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(TAR_BLOCK);
+  let prefix = '';
+  if (Buffer.byteLength(name) > 100) {
+    const slash = name.lastIndexOf('/');
+    if (
+      slash < 0 || Buffer.byteLength(name.slice(slash + 1)) > 100 ||
+      Buffer.byteLength(name.slice(0, slash)) > 155
+    ) {
+      throw new Error(`File name too long for tar: ${name}`);
+    }
+    prefix = name.slice(0, slash);
+    name = name.slice(slash + 1);
+  }
+  const octal = (value, length) =>
+    value.toString(8).padStart(length - 1, '0') + '\0';
+  header.write(name, 0);
+  header.write(octal(0o644, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136);
+  header.write('0', 156);
+  header.write('ustar\x0000', 257);
+  header.write(prefix, 345);
+  // The checksum is taken with its own field as spaces
+  header.write(' '.repeat(8), 148);
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  header.write(octal(sum, 7) + ' ', 148);
+  return header;
+}
+
+// Zip local file header (0x04034b50) or central directory entry (0x02014b50)
+function zipHeader(signature, entry, mtime) {
+  const central = signature === 0x02014b50;
+  const header = Buffer.alloc((central ? 46 : 30) + entry.name.length);
+  let at = 0;
+  const u16 = (value) => (at = header.writeUInt16LE(value, at));
+  const u32 = (value) => (at = header.writeUInt32LE(value, at));
+  u32(signature);
+  if (central) u16(20); // version made by
+  u16(20); // version needed to extract
+  u16(0x0800); // UTF-8 file names
+  u16(entry.method);
+  u16(
+    (mtime.getHours() << 11) | (mtime.getMinutes() << 5) |
+      (mtime.getSeconds() >> 1),
+  );
+  u16(
+    ((mtime.getFullYear() - 1980) << 9) | ((mtime.getMonth() + 1) << 5) |
+      mtime.getDate(),
+  );
+  u32(entry.crc);
+  u32(entry.compressedSize);
+  u32(entry.size);
+  u16(entry.name.length);
+  u16(0); // extra field length
+  if (central) {
+    u16(0); // comment length
+    u16(0); // disk number
+    u16(0); // internal attributes
+    u32(0); // external attributes
+    u32(entry.offset);
+  }
+  entry.name.copy(header, at);
+  return header;
+}
@@ -0,0 +1,105 @@
+/**
+ * Benchmark of the hand-off from the PDF.js canvas to sharp
+ *
+ * Renders each page once, then times turning the canvas into a letterboxed
+ * square both ways: through a PNG (canvas.toBuffer('image/png') decoded again
+ * by sharp, as pdf2square used to) and as raw RGBA pixels (getImageData read
+ * by sharp with `raw`, as it does now). Drawing the page is the same for both
+ * and is reported separately.
+ *
+ * Usage: node benchmark.js [file.pdf] [dpi] [runs]
+ * Defaults: test/example1.pdf, 700 DPI (the library default), 3 runs
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+import { loadDocument } from './render.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SIZE = 896;
+
+const [
+  pdfPath = path.join(__dirname, 'test', 'example1.pdf'),
+  dpi = '700',
+  runs = '3',
+] = process.argv.slice(2);
+
+// Letterbox into a SIZE x SIZE PNG, as encodeSquare() does for fit 'contain'
+function square(image) {
+  return image
+    .resize(SIZE, SIZE, { fit: 'contain', background: '#ffffff' })
+    .png()
+    .toBuffer();
+}
+
+const handoffs = {
+  png: (canvas) => square(sharp(canvas.toBuffer('image/png'))),
+  raw: (canvas) => {
+    const { width, height } = canvas;
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+    return square(sharp(data, { raw: { width, height, channels: 4 } }));
+  },
+};
+
+// Milliseconds taken by fn, as the median of `runs` calls
+async function time(fn) {
+  const samples = [];
+  for (let i = 0; i < Number(runs); i++) {
+    const start = performance.now();
+    await fn();
+    samples.push(performance.now() - start);
+  }
+  samples.sort((a, b) => a - b);
+  return samples[Math.floor(samples.length / 2)];
+}
+
+async function main() {
+  const data = new Uint8Array(await fs.readFile(pdfPath));
+  const pdf = await loadDocument(data).promise;
+  const scale = Number(dpi) / 96;
+  console.log(
+    `${
+      path.basename(pdfPath)
+    }: ${pdf.numPages} pages at ${dpi} DPI, median of ${runs} runs`,
+  );
+
+  const totals = { draw: 0, png: 0, raw: 0 };
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale });
+    const { canvas, context } = pdf.canvasFactory.create(
+      viewport.width,
+      viewport.height,
+    );
+    const draw = await time(() =>
+      page.render({ canvasContext: context, viewport }).promise
+    );
+    const png = await time(() => handoffs.png(canvas));
+    const raw = await time(() => handoffs.raw(canvas));
+    console.log(
+      `Page ${pageNumber} (${canvas.width} x ${canvas.height}): draw ${
+        draw.toFixed(0)
+      } ms, png ${png.toFixed(0)} ms, raw ${raw.toFixed(0)} ms`,
+    );
+    totals.draw += draw;
+    totals.png += png;
+    totals.raw += raw;
+    pdf.canvasFactory.destroy({ canvas, context });
+    page.cleanup();
+  }
+  console.log(
+    `Total: draw ${totals.draw.toFixed(0)} ms, png ${
+      totals.png.toFixed(0)
+    } ms, raw ${totals.raw.toFixed(0)} ms (${
+      (totals.png / totals.raw).toFixed(1)
+    }x faster)`,
+  );
+  await pdf.destroy();
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -5,7 +5,8 @@
  *
  * Default behaviors:
  *  - outPrefix is optional: if omitted, uses the PDF's basename in the same folder.
- *  - Up to 10 pages, 896x896 PNG, high DPI (700) render for crisp text.
+ *  - Up to 10 pages, 896x896 PNG, rendered at twice the output resolution
+ *    (--dpi auto) for crisp text.
  *
  * No system dependencies required - uses PDF.js for PDF processing.
  *
@@ -13,12 +14,90 @@
  *   pdf2square input.pdf             # writes input-001.png/.txt, input-002.png/.txt, ...
  *   pdf2square input.pdf out/page    # explicit prefix
  *   pdf2square input.pdf --dpi 800 --bg transparent
+ *   pdf2square input.pdf --pages 1-3,7,10-
+ *   pdf2square input.pdf --format webp --quality 80
+ *   pdf2square receipt.pdf --layout tile   # writes receipt-001-t1.png, ...
+ *   pdf2square scan.pdf --text-format hocr # writes scan-001.png/.hocr, ...
+ *   pdf2square book.pdf --name-template "{name}_{label}.{ext}" # book_iv.png, ...
+ *   pdf2square a.pdf b.pdf           # batch: each written next to itself
+ *   pdf2square docs/ -r -o out       # batch: mirrors docs/ under out/
+ *   pdf2square input.pdf --ndjson | jq .image  # a JSON line per page on stdout
+ *   pdf2square input.pdf --manifest out.json   # lists files, sizes, hashes
+ *   pdf2square - --archive tar < in.pdf > pages.tar  # stdin in, archive out
+ *   pdf2square serve --port 8080     # HTTP: POST /convert, GET /healthz
+ *
+ * Exit codes: 0 on success, 1 on failure (of any file, in batch mode), 2 when
+ * some pages failed to render (the others are still written; see
+ * --on-page-error), 130 when cancelled with Ctrl-C.
  */
 
+import { createHash } from 'node:crypto';
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import { finished } from 'node:stream/promises';
 import { Command } from 'commander';
-import { convert } from './lib.js';
+import {
+  convertIter,
+  createLimiter,
+  formatText,
+  IncorrectPasswordError,
+  openPdf,
+  PasswordRequiredError,
+} from './lib.js';
+import { ARCHIVE_FORMATS, createArchive } from './archive.js';
+import { TEXT_FORMATS } from './serialize.js';
+import { createServer } from './server.js';
+
+// Text file extension per --text-format
+const TEXT_EXTENSIONS = {
+  txt: 'txt',
+  json: 'json',
+  hocr: 'hocr',
+  alto: 'xml',
+  markdown: 'md',
+};
+
+// Default --name-template: input-001.png, or input-001-t1.png per tile
+const PAGE_TEMPLATE = '{name}-{page}.{ext}';
+const TILE_TEMPLATE = '{name}-{page}-t{tile}.{ext}';
+// Tokens of --name-template; the numeric ones take a width, e.g. {page:04}
+const NAME_TOKENS = ['name', 'page', 'label', 'total', 'tile', 'ext'];
+const NUMERIC_TOKENS = ['page', 'total', 'tile'];
+
+// Exit code when the document converted but some of its pages did not
+const EXIT_PAGE_ERRORS = 2;
+// Exit code after Ctrl-C (128 + SIGINT), as shells report it
+const EXIT_CANCELLED = 130;
+
+// Compress sorted page numbers into ranges: [1, 2, 3, 7] -> "1-3, 7"
+function formatPageList(pageNumbers) {
+  const parts = [];
+  let start = pageNumbers[0];
+  let prev = start;
+  for (const n of [...pageNumbers.slice(1), undefined]) {
+    if (n === prev + 1) {
+      prev = n;
+      continue;
+    }
+    parts.push(start === prev ? `${start}` : `${start}-${prev}`);
+    start = prev = n;
+  }
+  return parts.join(', ');
+}
+
+// Helper function for parsing decimals
+function parseFloatSafe(value) {
+  const parsed = parseFloat(value);
+  if (isNaN(parsed)) {
+    throw new Error(`Invalid number: ${value}`);
+  }
+  return parsed;
+}
+
+// --dpi: a number, or 'auto' to size each page's render from the output
+function parseDpi(value) {
+  return value === 'auto' ? value : parseFloatSafe(value);
+}
 
 // Helper function for parsing integers
 function parseIntSafe(value) {
@@ -29,15 +108,274 @@ function parseIntSafe(value) {
   return parsed;
 }
 
+// Password for encrypted PDFs: --password, then --password-file, then the
+// PDF2SQUARE_PASSWORD environment variable
+async function resolvePassword(opts) {
+  if (opts.password !== undefined) return opts.password;
+  if (opts.passwordFile !== undefined) {
+    const text = await fs.readFile(opts.passwordFile, 'utf8');
+    // Ignore the trailing newline most editors add
+    return text.replace(/\r?\n$/, '');
+  }
+  return process.env.PDF2SQUARE_PASSWORD || undefined;
+}
+
+// Summary of the pages that failed to render, on stderr
+function reportPageErrors(errors, mode) {
+  const pageList = formatPageList(errors.map((e) => e.pageNumber));
+  const outcome = mode === 'placeholder'
+    ? 'replaced by placeholders'
+    : 'skipped';
+  const pages = errors.length === 1 ? 'Page' : 'Pages';
+  console.error(`⚠️  ${pages} ${pageList} failed (${outcome}):`);
+  for (const { message, code } of errors) {
+    console.error(`   ${message} [${code}]`);
+  }
+}
+
+// Seconds with one decimal: 1234 -> "1.2s"
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Progress on stderr: a bar on terminals, one line per page otherwise.
+// --verbose prints every stage of every page with its timing, --quiet
+// nothing. With a label (the file, in batch mode) every line starts with it.
+// finish() ends an unfinished bar so later messages start on a new line.
+function createProgress({ quiet, verbose, label }) {
+  const bar = process.stderr.isTTY && !verbose;
+  const prefix = label ? `${label}: ` : '';
+  const width = 30;
+  let total = 0;
+  let done = 0;
+  let drawn = false;
+
+  const draw = () => {
+    const filled = total > 0 ? Math.round((done / total) * width) : 0;
+    process.stderr.write(
+      `\r[${'#'.repeat(filled)}${
+        '-'.repeat(width - filled)
+      }] ${done}/${total} pages`,
+    );
+    drawn = done < total;
+    if (!drawn) process.stderr.write('\n');
+  };
+
+  const onProgress = (event) => {
+    switch (event.type) {
+      case 'document-loaded':
+        total = event.pageCount;
+        if (bar) {
+          draw();
+        } else {
+          console.error(
+            `${prefix}Loaded ${event.numPages} pages in ${
+              formatSeconds(event.elapsedMs)
+            }; converting ${total}`,
+          );
+        }
+        break;
+      case 'page-done':
+        done++;
+        if (bar) {
+          draw();
+        } else {
+          const status = event.error ? 'failed' : 'done';
+          console.error(
+            `${prefix}Page ${event.pageNumber} ${status} in ${
+              formatSeconds(event.elapsedMs)
+            } (${done}/${total})`,
+          );
+        }
+        break;
+      default:
+        if (verbose) {
+          const stage = event.type.replace('page-', '');
+          const tile = event.tileIndex === undefined
+            ? ''
+            : ` tile ${event.tileIndex + 1}`;
+          console.error(
+            `${prefix}Page ${event.pageNumber}${tile} ${stage} at ${
+              formatSeconds(event.elapsedMs)
+            }`,
+          );
+        }
+    }
+  };
+
+  return {
+    onProgress: quiet ? undefined : onProgress,
+    finish() {
+      if (drawn) process.stderr.write('\n');
+      drawn = false;
+    },
+  };
+}
+
+// Page records on stdout as they are written: --ndjson prints one JSON object
+// per line, --json one array that is complete once close() is called (a run
+// that printed nothing prints no array either)
+function createPrinter({ json, ndjson }) {
+  let count = 0;
+  let closed = false;
+  return {
+    print(record) {
+      if (ndjson) {
+        process.stdout.write(`${JSON.stringify(record)}\n`);
+      } else if (json) {
+        const element = JSON.stringify(record, null, 2).replace(/^/gm, '  ');
+        process.stdout.write(`${count++ === 0 ? '[\n' : ',\n'}${element}`);
+      }
+    },
+    close() {
+      if (!json || closed || count === 0) return;
+      closed = true;
+      process.stdout.write('\n]\n');
+    },
+  };
+}
+
+// Throw if a --name-template uses unknown tokens or cannot tell pages apart
+function checkNameTemplate(template) {
+  const tokens = [...template.matchAll(/\{(\w+)(?::(\d+))?\}/g)];
+  for (const [match, token, width] of tokens) {
+    if (!NAME_TOKENS.includes(token)) {
+      throw new Error(
+        `Unknown token ${match} in --name-template; use ${
+          NAME_TOKENS.map((t) => `{${t}}`).join(', ')
+        }.`,
+      );
+    }
+    if (width !== undefined && !NUMERIC_TOKENS.includes(token)) {
+      throw new Error(`${match} in --name-template takes no width.`);
+    }
+  }
+  const used = new Set(tokens.map(([, token]) => token));
+  if (!used.has('page') && !used.has('label')) {
+    throw new Error('--name-template needs {page} or {label}.');
+  }
+  if (opts.layout === 'tile' && !used.has('tile')) {
+    throw new Error('--name-template needs {tile} with --layout tile.');
+  }
+}
+
+// File name of a converted page (or tile) from a --name-template. Page
+// numbers are padded to the digits of the page count, 3 at least, so names
+// sort in page order; labels fall back to the page number. Without {ext},
+// the extension is appended.
+function formatName(template, result, { name, total, ext }) {
+  const pad = Math.max(3, String(total).length);
+  // Placeholders for failed pages stand in for the page's first tile
+  const tileIndex = result.tileIndex ??
+    (opts.layout === 'tile' ? 0 : undefined);
+  const values = {
+    name,
+    page: [result.pageNumber, pad],
+    label: result.pageLabel?.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_') ||
+      [result.pageNumber, pad],
+    total: [total, 1],
+    tile: tileIndex === undefined ? '' : [tileIndex + 1, 1],
+    ext,
+  };
+  const filled = template.replace(
+    /\{(\w+)(?::(\d+))?\}/g,
+    (match, token, width) => {
+      const value = values[token];
+      if (!Array.isArray(value)) return value;
+      const [number, minWidth] = value;
+      return String(number).padStart(width ? Number(width) : minWidth, '0');
+    },
+  );
+  return template.includes('{ext}') ? filled : `${filled}.${ext}`;
+}
+
+// Whether an input argument is a glob pattern rather than a path
+function isGlob(arg) {
+  return /[*?[\]{}]/.test(arg);
+}
+
+// Whether a path names an existing directory
+async function isDirectory(arg) {
+  const stats = await fs.stat(arg).catch(() => undefined);
+  return stats?.isDirectory() ?? false;
+}
+
+// Whether the second of two arguments is an input too, rather than the
+// output prefix of the first. A directory is a prefix, as it always was;
+// directories to convert are given with --out-dir or with more inputs.
+function isInputArgument(arg) {
+  return isGlob(arg) || /\.pdf$/i.test(arg);
+}
+
+// The PDFs named by the input arguments, each with the root its place in the
+// output tree is relative to: a pattern's directory before the first
+// wildcard, the directory given, or for files named one by one the deepest
+// directory they all share. PDFs found twice are converted once.
+async function expandInputs(args, recursive) {
+  const found = new Map();
+  const files = [];
+  const add = (file, root) => {
+    const abs = path.resolve(file);
+    if (!found.has(abs)) {
+      found.set(abs, { path: abs, root: path.resolve(root) });
+    }
+  };
+
+  for (const arg of args) {
+    if (isGlob(arg)) {
+      const parts = arg.split(/[\\/]/);
+      const literal = parts.slice(0, parts.findIndex(isGlob));
+      const root = literal.join('/') || '.';
+      for await (const entry of fs.glob(arg, { withFileTypes: true })) {
+        if (entry.isFile()) add(path.join(entry.parentPath, entry.name), root);
+      }
+    } else if (await isDirectory(arg)) {
+      const entries = await fs.readdir(arg, { recursive, withFileTypes: true });
+      for (const entry of entries) {
+        if (entry.isFile() && /\.pdf$/i.test(entry.name)) {
+          add(path.join(entry.parentPath, entry.name), arg);
+        }
+      }
+    } else {
+      files.push(path.resolve(arg));
+    }
+  }
+  const root = commonDirectory(files);
+  for (const file of files) add(file, root);
+  return [...found.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// The deepest directory that holds all the files
+function commonDirectory(files) {
+  const outside = (dir, file) => {
+    const relative = path.relative(dir, file);
+    return relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+  };
+  let common = path.dirname(files[0] ?? '.');
+  for (const file of files) {
+    while (outside(common, file) && common !== path.dirname(common)) {
+      common = path.dirname(common);
+    }
+  }
+  return common;
+}
+
 const program = new Command()
   .name('pdf2square')
   .description(
     'Convert PDF pages to exactly NxN images (letterboxed) + per-page text using PDF.js + Sharp',
   )
-  .argument('<inputPdf>', 'Input PDF file')
   .argument(
-    '[outPrefix]',
-    'Output path/prefix (default: <pdf_basename> next to input)',
+    '<inputPdf...>',
+    'Input PDF files, directories or glob patterns, or - for stdin; after a single PDF, an output path/prefix, or with --archive the archive file (- for stdout) (default: <pdf_basename> next to input)',
+  )
+  .option(
+    '-o, --out-dir <dir>',
+    'Write every input under this directory, mirroring the input tree',
+  )
+  .option(
+    '-r, --recursive',
+    'Include PDFs in subdirectories of directory inputs',
   )
   .option(
     '-n, --max-pages <int>',
@@ -52,13 +390,73 @@ const program = new Command()
     896,
   )
   .option(
-    '--dpi <int>',
-    'Render DPI (higher = crisper text; default 700)',
+    '--dpi <int|auto>',
+    'Render DPI (higher = crisper text), or auto to render each page at --oversample times the output size (default auto)',
+    parseDpi,
+    'auto',
+  )
+  .option(
+    '--oversample <factor>',
+    'With --dpi auto, rendered pixels per output pixel (default 2)',
+    parseFloatSafe,
+    2,
+  )
+  .option(
+    '--max-canvas-pixels <int>',
+    'Largest page render in pixels; bigger renders are scaled down (default 33554432)',
+    parseIntSafe,
+    2 ** 25,
+  )
+  .option(
+    '--on-limit <mode>',
+    'When a page is over --max-canvas-pixels or the selection over --max-pages: clamp (scale down, convert fewer) or throw (fail; --max-pages then also limits --pages) (default clamp)',
+    'clamp',
+  )
+  .option(
+    '--max-input-bytes <int>',
+    'Refuse PDFs larger than this many bytes',
+    parseIntSafe,
+  )
+  .option(
+    '--max-memory-bytes <int>',
+    'Memory budget for pages rendering at once; pages wait until theirs fits (default 1073741824)',
     parseIntSafe,
-    700,
+    2 ** 30,
   )
   .option('--first <int>', 'First page to convert (1-based)', parseIntSafe, 1)
-  .option('--format <fmt>', 'Output format: png|jpg (default png)', 'png')
+  .option(
+    '-p, --pages <spec>',
+    "Pages to convert, e.g. '1-3,7,10-', '-1' (last; '-N' counts from the end and is not the range 1-N), 'last 5', 'odd', 'even' or 'all' (overrides --first/--max-pages)",
+  )
+  .option(
+    '--format <fmt>',
+    'Output format: png|jpg|webp|avif|tiff (default png)',
+    'png',
+  )
+  .option(
+    '--quality <int>',
+    'Encoder quality 1-100 (jpg, webp, avif, tiff, palette png)',
+    parseIntSafe,
+  )
+  .option('--lossless', 'Lossless webp/avif encoding')
+  .option('--no-lossless', 'Lossy (JPEG-compressed) tiff encoding')
+  .option(
+    '--effort <int>',
+    'Encoder CPU effort: png 1-10, webp 0-6, avif 0-9',
+    parseIntSafe,
+  )
+  .option(
+    '--compression-level <int>',
+    'PNG compression level 0-9',
+    parseIntSafe,
+  )
+  .option('--palette', 'Quantise PNG output to an 8-bit palette')
+  .option('--progressive', 'Progressive JPEG output')
+  .option('--mozjpeg', 'Use mozjpeg defaults for smaller JPEGs')
+  .option(
+    '--chroma-subsampling <mode>',
+    'JPEG/AVIF chroma subsampling: 4:2:0|4:4:4',
+  )
   .option(
     '--bg <hex|transparent>',
     "Background color (letterbox). Hex #RRGGBB[AA] or 'transparent'",
@@ -70,77 +468,751 @@ const program = new Command()
     parseIntSafe,
     4,
   )
+  .option(
+    '--workers <int>',
+    'Render pages on this many worker threads, for multi-core machines (default 0: main thread only)',
+    parseIntSafe,
+    0,
+  )
+  .option(
+    '--layout <mode>',
+    'letterbox: one square per page; tile: split long pages into overlapping squares',
+    'letterbox',
+  )
+  .option(
+    '--tile-overlap <fraction>',
+    'Minimum overlap between tiles, 0 to <1 (default 0.1)',
+    parseFloatSafe,
+    0.1,
+  )
+  .option(
+    '--max-tiles <int>',
+    'Maximum tiles per page (default 8)',
+    parseIntSafe,
+    8,
+  )
+  .option(
+    '--fit <mode>',
+    'contain: letterbox the page; cover: fill the square and crop the overflow',
+    'contain',
+  )
+  .option('--trim', 'Remove blank page margins before fitting', false)
+  .option(
+    '--position <pos>',
+    'Page placement (contain) or kept area (cover): center|top|bottom|left|right|top-left|top-right|bottom-left|bottom-right',
+    'center',
+  )
+  .option(
+    '--text-mode <mode>',
+    'Text reconstruction: raw|lines|layout (layout orders columns and paragraphs)',
+    'raw',
+  )
+  .option(
+    '--text-format <fmt>',
+    'Per-page text file: txt|json|hocr|alto|markdown (json/hocr/alto use image pixel coordinates)',
+    'txt',
+  )
+  .option(
+    '--name-template <tpl>',
+    `Output file names, from tokens ${
+      NAME_TOKENS.map((t) => `{${t}}`).join(' ')
+    }; {page:04} pads to 4 digits (default ${PAGE_TEMPLATE}, or ${TILE_TEMPLATE} with --layout tile)`,
+  )
+  .option('--password <pw>', 'Password for encrypted PDFs')
+  .option('--password-file <path>', 'Read the PDF password from a file')
+  .option(
+    '--page-timeout <ms>',
+    'Fail a page that takes longer than this to render (see --on-page-error)',
+    parseIntSafe,
+  )
+  .option(
+    '--on-page-error <mode>',
+    'When a page fails to render: skip|placeholder|throw (throw aborts the whole conversion; default skip)',
+    'skip',
+  )
+  .option(
+    '--archive <format>',
+    'Package the images, text files and a manifest.json into one zip or tar archive, written to the output argument (- for stdout)',
+  )
+  .option(
+    '--manifest <file>',
+    'Write a JSON manifest of the documents, options and pages (file paths, sizes, SHA-256, timings)',
+  )
+  .option(
+    '--json',
+    'Print each page to stdout as a JSON array element as it is written',
+  )
+  .option('--ndjson', 'Print each page to stdout as a line of JSON')
+  .option('-q, --quiet', 'Print nothing but warnings and errors')
+  .option('-v, --verbose', 'Print every stage of every page with timings')
   .option('--keep-intermediate', 'Keep intermediate renders', false)
   .showHelpAfterError()
-  .parse(process.argv);
+  // Options after `serve` are its own, even where the names are shared
+  .enablePositionalOptions()
+  .action(convertInputs);
 
-const opts = program.opts();
-const [inputPdf, outPrefixArg] = program.args;
+program
+  .command('serve')
+  .description(
+    'Run an HTTP server: POST /convert converts an uploaded PDF and answers with its pages as JSON or NDJSON; GET /healthz reports that it is up',
+  )
+  .option(
+    '--port <int>',
+    'Port to listen on; 0 picks a free one (default 8080)',
+    parseIntSafe,
+    8080,
+  )
+  .option(
+    '--host <addr>',
+    'Address to listen on; 0.0.0.0 for every interface (default 127.0.0.1)',
+    '127.0.0.1',
+  )
+  .option(
+    '--max-upload-bytes <int>',
+    'Refuse uploads larger than this (default 52428800)',
+    parseIntSafe,
+    50 * 1024 * 1024,
+  )
+  .option(
+    '-n, --max-pages <int>',
+    'Most pages one request may convert (default 10)',
+    parseIntSafe,
+    10,
+  )
+  .option(
+    '--max-size <int>',
+    'Largest square size a request may ask for (default 2048)',
+    parseIntSafe,
+    2048,
+  )
+  .option(
+    '--max-tiles <int>',
+    'Most tiles per page a request may ask for (default 8)',
+    parseIntSafe,
+    8,
+  )
+  .option(
+    '--timeout <ms>',
+    'Most time a request may take to upload, and then to convert (default 60000)',
+    parseIntSafe,
+    60_000,
+  )
+  .option(
+    '--concurrency <int>',
+    'Pages converting at once, across all requests (default 4)',
+    parseIntSafe,
+    4,
+  )
+  .option(
+    '--workers <int>',
+    'Render the pages of each request on this many worker threads (default 0: main thread only)',
+    parseIntSafe,
+    0,
+  )
+  .option(
+    '--max-memory-bytes <int>',
+    'Memory budget for the pages of each request rendering at once (default 1073741824)',
+    parseIntSafe,
+    2 ** 30,
+  )
+  .action(serve);
 
-(async () => {
+// Set from the options by convertInputs()
+let opts;
+let textFormat;
+let nameTemplate;
+// With --json/--ndjson (or an archive on it), stdout carries the page records
+// (or the archive) and nothing else
+let printer;
+let stdoutTaken;
+// Images written in this run, with the input each is a page of, so that no
+// page overwrites another's (in batch mode, another PDF's)
+const written = new Map();
+// Documents converted, for the --manifest
+const manifest = [];
+
+// Ctrl-C cancels the conversion and stops rendering; a second Ctrl-C falls
+// back to Node's default and exits at once
+const controller = new AbortController();
+
+// Convert one PDF (a path, or the bytes read from stdin) and write a file
+// pair per page (or tile) as each page is ready: <outPrefix>-001.png and
+// <outPrefix>-001.txt, ... or as --name-template names them, relative to the
+// directory of outPrefix. writeFile puts them on disk or into an archive.
+// Pages go to stdout with --json/--ndjson and their entries to the manifest.
+async function writePages(pdf, outPrefix, options, writeFile = writeToDisk) {
+  const input = typeof pdf === 'string' ? pdf : '-';
+  const outDir = path.dirname(outPrefix);
+  const started = performance.now();
+  // Opened here rather than by convertIter() so that the manifest takes the
+  // page labels and metadata from the same parse
+  const { password, signal, maxInputBytes, maxMemoryBytes, workers } = options;
+  const doc = await openPdf(pdf, {
+    password,
+    signal,
+    maxInputBytes,
+    maxMemoryBytes,
+    workers,
+  });
+  const total = doc.numPages;
+  // Stage times of each page, from its progress events
+  const timings = new Map();
+  const pages = convertIter(doc, {
+    ...options,
+    onProgress: (event) => {
+      if (event.type !== 'document-loaded') {
+        const times = timings.get(event.pageNumber) ?? {};
+        const stage = event.type.replace('page-', '');
+        times[stage] = event.tileIndex === undefined
+          ? event.elapsedMs
+          : { ...times[stage], [event.tileIndex]: event.elapsedMs };
+        timings.set(event.pageNumber, times);
+      }
+      options.onProgress?.(event);
+    },
+  });
+
+  const fmt = String(opts.format).toLowerCase();
+  const name = path.basename(outPrefix);
+  const results = [];
+  const entries = [];
+  let step;
   try {
-    // Resolve default outPrefix if omitted: <dir_of_pdf>/<basename_without_ext>
-    const pdfAbs = path.resolve(inputPdf);
-    const pdfDir = path.dirname(pdfAbs);
-    const pdfBase = path.parse(pdfAbs).name;
-
-    const outPrefix = outPrefixArg
-      ? path.resolve(outPrefixArg)
-      : path.join(pdfDir, pdfBase);
-
-    // Ensure folder exists
-    const outDir = path.dirname(outPrefix);
-    await fs.mkdir(outDir, { recursive: true });
-
-    // Use the library to convert PDF to base64 images and text
-    const results = await convert(pdfAbs, {
-      maxPages: opts.maxPages,
-      size: opts.size,
-      dpi: opts.dpi,
-      first: opts.first,
-      format: opts.format,
-      bg: opts.bg,
-      concurrency: opts.concurrency,
-    });
+    while (!(step = await pages.next()).done) {
+      const result = step.value;
+      const imgOut = path.join(
+        outDir,
+        formatName(nameTemplate, result, { name, total, ext: fmt }),
+      );
+      const txtOut = path.join(
+        outDir,
+        formatName(nameTemplate, result, {
+          name,
+          total,
+          ext: TEXT_EXTENSIONS[textFormat],
+        }),
+      );
+      const writtenFor = written.get(imgOut);
+      if (writtenFor === input) {
+        throw new Error(
+          `--name-template '${nameTemplate}' gives more than one image the name ${imgOut}.`,
+        );
+      } else if (writtenFor !== undefined) {
+        throw new Error(
+          `${imgOut} is already an image of ${writtenFor}; convert the two into different --out-dir directories.`,
+        );
+      }
+      written.set(imgOut, input);
+
+      // Write image file
+      await writeFile(imgOut, result.image);
+
+      // Write text file, pointing at the image relative to itself
+      await writeFile(
+        txtOut,
+        formatText(result, textFormat, {
+          imageName: toPosix(path.relative(path.dirname(txtOut), imgOut)),
+        }),
+      );
+
+      const times = timings.get(result.pageNumber) ?? {};
+      const entry = pageEntry(result, {
+        image: imgOut,
+        text: txtOut,
+        elapsedMs: {
+          rendered: times.rendered,
+          encoded: result.tileIndex === undefined
+            ? times.encoded
+            : times.encoded?.[result.tileIndex],
+          done: times.done,
+        },
+      });
+      printer.print({
+        input,
+        ...entry,
+        sourceRect: result.sourceRect,
+        placement: result.placement,
+        extractedText: result.extractedText,
+        textBoxes: result.textBoxes,
+      });
+      results.push(result);
+      entries.push(entry);
+    }
+
+    const errors = step.value;
+    if (opts.manifest || opts.archive) {
+      manifest.push({
+        input,
+        numPages: doc.numPages,
+        pageLabels: doc.pageLabels,
+        ...(await doc.getMetadata()),
+        elapsedMs: Math.round(performance.now() - started),
+        pages: entries,
+        errors,
+      });
+    }
+    return Object.defineProperty(results, 'errors', { value: errors });
+  } finally {
+    // Stops rendering when a page could not be written
+    await pages.return();
+    await doc.close();
+  }
+}
+
+// A converted page (or tile) as listed in the manifest: where its files went,
+// their size and hash, and how long its stages took (ms since it started)
+function pageEntry(result, { image, text, elapsedMs }) {
+  return {
+    pageNumber: result.pageNumber,
+    pageLabel: result.pageLabel,
+    tileIndex: result.tileIndex,
+    tileCount: result.tileCount,
+    image,
+    text,
+    mimeType: result.mimeType,
+    width: result.width,
+    height: result.height,
+    byteLength: result.byteLength,
+    sha256: createHash('sha256').update(result.image).digest('hex'),
+    elapsedMs,
+    error: result.error,
+  };
+}
+
+// Write one output file, creating its directory
+async function writeToDisk(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, data);
+}
+
+// Write the --manifest: the options used and every document converted, with
+// the paths of the files written relative to the manifest (or, for an
+// archive, the names of its entries)
+async function writeManifest() {
+  if (!opts.manifest) return;
+  const manifestPath = path.resolve(opts.manifest);
+  const dir = path.dirname(manifestPath);
+  const relative = (file) =>
+    toPosix(opts.archive ? file : path.relative(dir, file));
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(manifestPath, await manifestJson(relative));
+}
+
+// The manifest as JSON text, with file paths mapped by `relative`
+async function manifestJson(relative) {
+  const options = await convertOptions();
+  // Neither the password nor the plumbing of this run belong in it
+  for (const key of ['password', 'signal', 'output']) delete options[key];
+  const documents = manifest
+    .map((doc) => ({
+      ...doc,
+      pages: doc.pages?.map((page) => ({
+        ...page,
+        image: relative(page.image),
+        text: relative(page.text),
+      })),
+    }))
+    .sort((a, b) => a.input.localeCompare(b.input));
+  return JSON.stringify(
+    {
+      createdAt: new Date().toISOString(),
+      options: { ...options, textFormat, nameTemplate },
+      documents,
+    },
+    null,
+    2,
+  ) + '\n';
+}
+
+// A relative path with '/' separators, as text files and archives name files
+function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
+
+// convert() options shared by every input
+async function convertOptions() {
+  return {
+    maxPages: opts.maxPages,
+    size: opts.size,
+    dpi: opts.dpi,
+    oversample: opts.oversample,
+    maxCanvasPixels: opts.maxCanvasPixels,
+    onLimit: opts.onLimit,
+    maxInputBytes: opts.maxInputBytes,
+    maxMemoryBytes: opts.maxMemoryBytes,
+    first: opts.first,
+    pages: opts.pages,
+    format: opts.format,
+    encoder: {
+      quality: opts.quality,
+      lossless: opts.lossless,
+      effort: opts.effort,
+      compressionLevel: opts.compressionLevel,
+      palette: opts.palette,
+      progressive: opts.progressive,
+      mozjpeg: opts.mozjpeg,
+      chromaSubsampling: opts.chromaSubsampling,
+    },
+    bg: opts.bg,
+    layout: opts.layout,
+    tileOverlap: opts.tileOverlap,
+    maxTiles: opts.maxTiles,
+    fit: opts.fit,
+    trim: opts.trim,
+    position: opts.position,
+    textMode: opts.textMode,
+    // Every text format but txt is built from word positions
+    textBoxes: textFormat !== 'txt',
+    password: await resolvePassword(opts),
+    concurrency: opts.concurrency,
+    workers: opts.workers,
+    onPageError: opts.onPageError,
+    pageTimeoutMs: opts.pageTimeout,
+    signal: controller.signal,
+    output: 'buffer',
+  };
+}
+
+// A success message on stdout, unless --quiet or stdout carries data
+function log(message) {
+  if (!opts.quiet && !stdoutTaken) console.log(message);
+}
+
+// Print the error of a failed run and exit: 130 when cancelled, else 1
+function fail(err) {
+  printer?.close();
+  if (controller.signal.aborted) {
+    console.error('❌ Cancelled.');
+    process.exit(EXIT_CANCELLED);
+  }
+  if (
+    err instanceof PasswordRequiredError ||
+    err instanceof IncorrectPasswordError
+  ) {
+    console.error(
+      '❌',
+      err.message,
+      'Use --password, --password-file or PDF2SQUARE_PASSWORD.',
+    );
+  } else {
+    console.error('❌', err.message || err, err.stack || '');
+  }
+  process.exit(1);
+}
+
+// One PDF, or '-' for the PDF on stdin, with a progress bar. Written to
+// outArg as prefix (default: next to the input, named after it), or with
+// --archive into one archive at outArg ('-' for stdout; default: next to the
+// input, or stdout for stdin).
+async function convertOne(inputPdf, outArg) {
+  const progress = createProgress(opts);
+  try {
+    if (outArg === '-' && !opts.archive) {
+      throw new Error('Writing to stdout (-) needs --archive zip or tar.');
+    }
+    const stdin = inputPdf === '-';
+    if (stdin && process.stdin.isTTY) {
+      throw new Error('No PDF on stdin; pipe one in or name a file.');
+    }
+    const pdf = stdin ? process.stdin : path.resolve(inputPdf);
+    // Default outPrefix: <dir_of_pdf>/<basename_without_ext>
+    const name = stdin ? 'stdin' : path.parse(pdf).name;
+    const dir = stdin ? process.cwd() : path.dirname(pdf);
+    const options = {
+      ...(await convertOptions()),
+      onProgress: progress.onProgress,
+    };
+
+    let results;
+    let target;
+    if (opts.archive) {
+      target = outArg ??
+        (stdin ? '-' : path.join(dir, `${name}.${opts.archive}`));
+      results = await writeArchive(pdf, target, name, options);
+    } else {
+      const outPrefix = outArg ? path.resolve(outArg) : path.join(dir, name);
+      results = await writePages(pdf, outPrefix, options);
+      target = path.dirname(outPrefix);
+    }
+    const { errors } = results;
 
     if (results.length === 0) {
+      if (errors.length > 0) reportPageErrors(errors, opts.onPageError);
       throw new Error('No pages were converted.');
     }
 
-    // Write results to files (maintaining same naming convention)
-    const base = path.basename(outPrefix);
-    const fmt = String(opts.format).toLowerCase();
+    const pageList = formatPageList([
+      ...new Set(results.map((r) => r.pageNumber)),
+    ]);
+    log(`✅ Done. Wrote pages ${pageList} → ${target}`);
+    printer.close();
+    await writeManifest();
+
+    if (errors.length > 0) {
+      reportPageErrors(errors, opts.onPageError);
+      process.exit(EXIT_PAGE_ERRORS);
+    }
+  } catch (err) {
+    progress.finish();
+    fail(err);
+  }
+}
+
+// Convert one PDF into a zip or tar archive at target ('-' for stdout): the
+// files writePages() would write, under their names relative to the output
+// directory, then the manifest as manifest.json. Nothing touches the disk
+// but the archive itself, which is written under a temporary name next to
+// target and renamed once complete: a failed conversion leaves no partial
+// archive behind, and an existing one as it was.
+async function writeArchive(pdf, target, name, options) {
+  if (target === '-') {
+    if (opts.json || opts.ndjson) {
+      throw new Error(
+        'An archive on stdout leaves no room for --json or --ndjson.',
+      );
+    }
+    if (process.stdout.isTTY) {
+      throw new Error(
+        'Not writing an archive to a terminal; redirect stdout or name a file.',
+      );
+    }
+    stdoutTaken = true;
+    return packArchive(pdf, process.stdout, name, options);
+  }
+
+  const dir = path.dirname(path.resolve(target));
+  await fs.mkdir(dir, { recursive: true });
+  const partial = path.join(
+    dir,
+    `.${path.basename(target)}.${process.pid}.partial`,
+  );
+  const stream = (await fs.open(partial, 'w')).createWriteStream();
+  // Listening from the start turns a failed write into an error here
+  // rather than an unhandled 'error' event
+  const closed = finished(stream);
+  closed.catch(() => {});
+  try {
+    const results = await packArchive(pdf, stream, name, options);
+    stream.end();
+    await closed;
+    await fs.rename(partial, target);
+    return results;
+  } catch (err) {
+    // Also closes the file
+    stream.destroy();
+    await fs.rm(partial, { force: true });
+    throw err;
+  }
+}
+
+// Write the pages of one PDF, then the manifest, as an archive to stream
+async function packArchive(pdf, stream, name, options) {
+  const archive = createArchive(opts.archive, stream);
+  const results = await writePages(
+    pdf,
+    name,
+    options,
+    (file, data) => archive.add(toPosix(file), data),
+  );
+  await archive.add('manifest.json', await manifestJson(toPosix));
+  await archive.finish();
+  return results;
+}
+
+// Many PDFs: up to --concurrency files open at once, sharing one budget of
+// --concurrency pages in progress. A line per file as it finishes, then a
+// summary; exits 1 if any file failed, 2 if only pages did.
+async function convertMany(inputs) {
+  try {
+    const options = {
+      ...(await convertOptions()),
+      limiter: createLimiter(opts.concurrency),
+    };
+    const files = createLimiter(opts.concurrency);
+    const failed = [];
+    let pageErrors = 0;
+    let done = 0;
 
     await Promise.all(
-      results.map(async (result) => {
-        const pageSuffix = String(result.pageNumber).padStart(3, '0');
-        const imgOut = path.join(
-          outDir,
-          `${base}-${pageSuffix}.${fmt === 'jpg' ? 'jpg' : fmt}`,
-        );
-        const txtOut = path.join(outDir, `${base}-${pageSuffix}.txt`);
+      inputs.map((input) =>
+        files(async () => {
+          const name = path.relative(process.cwd(), input.path);
+          const started = performance.now();
+          let results;
+          try {
+            results = await writePages(input.path, outPrefixFor(input), {
+              ...options,
+              onProgress: opts.verbose
+                ? createProgress({ verbose: true, label: name }).onProgress
+                : undefined,
+            });
+            if (results.length === 0) {
+              throw new Error('No pages were converted.');
+            }
+          } catch (err) {
+            if (controller.signal.aborted) throw err;
+            failed.push(name);
+            manifest.push({ input: input.path, error: err.message || err });
+            console.error(
+              `❌ [${++done}/${inputs.length}] ${name}: ${err.message || err}`,
+            );
+            if (results?.errors.length > 0) {
+              reportPageErrors(results.errors, opts.onPageError);
+            }
+            return;
+          }
+          const pages = formatPageList([
+            ...new Set(results.map((r) => r.pageNumber)),
+          ]);
+          const line =
+            `[${++done}/${inputs.length}] ${name}: pages ${pages} in ${
+              formatSeconds(performance.now() - started)
+            }`;
+          if (results.errors.length > 0) {
+            pageErrors++;
+            console.error(`⚠️  ${line}`);
+            reportPageErrors(results.errors, opts.onPageError);
+          } else {
+            log(`✅ ${line}`);
+          }
+        })
+      ),
+    );
 
-        // Extract base64 data and write image file
-        const base64Match = result.base64EncodedImage.match(
-          /^data:image\/[^;]+;base64,(.+)$/,
-        );
-        if (base64Match) {
-          const imageBuffer = Buffer.from(base64Match[1], 'base64');
-          await fs.writeFile(imgOut, imageBuffer);
-        }
+    printer.close();
+    await writeManifest();
+    const converted = inputs.length - failed.length;
+    if (failed.length > 0) {
+      console.error(
+        `❌ Converted ${converted} of ${inputs.length} files; failed: ${
+          failed.sort().join(', ')
+        }`,
+      );
+      process.exit(1);
+    }
+    log(
+      `✅ Done. Converted ${inputs.length} files${
+        pageErrors > 0 ? ` (${pageErrors} with failed pages)` : ''
+      }`,
+    );
+    if (pageErrors > 0) process.exit(EXIT_PAGE_ERRORS);
+  } catch (err) {
+    fail(err);
+  }
+}
+
+// Where the pages of a batch input go: under --out-dir at the input's place
+// in the tree it was found in, or else next to the input
+function outPrefixFor({ path: pdfPath, root }) {
+  const name = path.parse(pdfPath).name;
+  if (!opts.outDir) return path.join(path.dirname(pdfPath), name);
+  return path.join(
+    path.resolve(opts.outDir),
+    path.relative(root, path.dirname(pdfPath)),
+    name,
+  );
+}
+
+// Convert the PDFs, directories or patterns given: one PDF on its own, or
+// else in batch mode
+async function convertInputs(inputArgs) {
+  opts = program.opts();
+  textFormat = String(opts.textFormat).toLowerCase();
+  nameTemplate = opts.nameTemplate ??
+    (opts.layout === 'tile' ? TILE_TEMPLATE : PAGE_TEMPLATE);
+  printer = createPrinter(opts);
+  stdoutTaken = Boolean(opts.json || opts.ndjson);
+  process.once('SIGINT', () => controller.abort());
+  try {
+    checkNameTemplate(nameTemplate);
+    if (opts.json && opts.ndjson) {
+      throw new Error('Use --json or --ndjson, not both.');
+    }
+    if (opts.archive && !ARCHIVE_FORMATS.includes(opts.archive)) {
+      throw new Error(
+        `Unknown --archive format '${opts.archive}'; use ${
+          ARCHIVE_FORMATS.join(' or ')
+        }.`,
+      );
+    }
+    if (!TEXT_FORMATS.includes(textFormat)) {
+      throw new Error(
+        `Unknown --text-format '${opts.textFormat}'; use ${
+          TEXT_FORMATS.join(', ')
+        }.`,
+      );
+    }
+  } catch (err) {
+    fail(err);
+  }
+  const args = [...inputArgs];
+  // `pdf2square in.pdf out/page`: a second argument that is no PDF or
+  // pattern is the output prefix of the first
+  const outPrefixArg = args.length === 2 && !opts.outDir &&
+      !isInputArgument(args[1])
+    ? args.pop()
+    : undefined;
 
-        // Write text file
-        await fs.writeFile(txtOut, result.extractedText);
-      }),
+  if (
+    args.length === 1 && !opts.outDir && !isGlob(args[0]) &&
+    !(await isDirectory(args[0]))
+  ) {
+    await convertOne(args[0], outPrefixArg);
+    return;
+  }
+  if (outPrefixArg !== undefined) {
+    fail(
+      new Error(
+        `Cannot write a directory or pattern to '${outPrefixArg}'; use --out-dir.`,
+      ),
     );
+  }
+  if (args.includes('-')) {
+    fail(new Error('The PDF on stdin (-) can only be converted on its own.'));
+  }
+  if (opts.archive) {
+    fail(new Error('--archive packages a single PDF; give one input.'));
+  }
+  const inputs = await expandInputs(args, opts.recursive).catch(fail);
+  if (inputs.length === 0) {
+    fail(new Error(`No PDF files found in: ${args.join(', ')}`));
+  }
+  await convertMany(inputs);
+}
 
-    const firstPage = results[0].pageNumber;
-    const lastPage = results[results.length - 1].pageNumber;
-    console.log(`✅ Done. Wrote pages ${firstPage}-${lastPage} → ${outDir}`);
+// `pdf2square serve`: answer requests until Ctrl-C (or SIGTERM), then stop
+// taking new ones and exit once those in progress are answered
+function serve(serveOpts) {
+  try {
+    const server = createServer({
+      maxUploadBytes: serveOpts.maxUploadBytes,
+      maxPages: serveOpts.maxPages,
+      maxSize: serveOpts.maxSize,
+      maxTiles: serveOpts.maxTiles,
+      timeoutMs: serveOpts.timeout,
+      concurrency: serveOpts.concurrency,
+      workers: serveOpts.workers,
+      maxMemoryBytes: serveOpts.maxMemoryBytes,
+      onError: (err) =>
+        console.error('❌', err.message || err, err.stack || ''),
+    });
+    server.on('error', fail);
+    server.listen(serveOpts.port, serveOpts.host, () => {
+      const { address, port } = server.address();
+      const host = address.includes(':') ? `[${address}]` : address;
+      console.log(`✅ Listening on http://${host}:${port}`);
+    });
+    const stop = () => {
+      server.close();
+      server.closeIdleConnections();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
   } catch (err) {
-    console.error('❌', err.message || err, err.stack || '');
-    process.exit(1);
+    fail(err);
   }
-})();
+}
+
+program.parse(process.argv);
 
 /* ----------------- helpers (now provided by lib.js) ----------------- */
@@ -0,0 +1,140 @@
+/**
+ * pdf2square error types
+ *
+ * Every error thrown by the library for a bad option, a bad document or a
+ * failed page carries a stable `code`, so callers can branch on it instead
+ * of matching message text. File system errors (e.g. ENOENT) pass through
+ * unchanged with their own Node.js codes.
+ */
+
+/**
+ * An option (or the input argument) has an invalid type or value
+ */
+export class InvalidOptionError extends TypeError {
+  /**
+   * @param {string} option - Name of the offending option, e.g. 'size' or 'encoder.quality'
+   * @param {string} message - What is wrong and what is accepted
+   */
+  constructor(option, message) {
+    super(message);
+    this.name = 'InvalidOptionError';
+    this.code = 'ERR_INVALID_OPTION';
+    this.option = option;
+  }
+}
+
+/**
+ * The input is not a PDF pdf.js can read (corrupt, empty or not a PDF)
+ */
+export class InvalidPdfError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {{ cause?: unknown }} [options] - The underlying pdf.js error
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'InvalidPdfError';
+    this.code = 'ERR_INVALID_PDF';
+  }
+}
+
+/**
+ * The requested pages do not exist in the document, or select nothing
+ */
+export class PageRangeError extends RangeError {
+  constructor(message) {
+    super(message);
+    this.name = 'PageRangeError';
+    this.code = 'ERR_PAGE_RANGE';
+  }
+}
+
+/**
+ * The input or a page is bigger than a safety limit allows (maxInputBytes,
+ * maxPages, or maxCanvasPixels with onLimit 'throw')
+ */
+export class LimitExceededError extends RangeError {
+  /**
+   * @param {string} limit - Name of the limit, e.g. 'maxInputBytes'
+   * @param {string} message - What exceeded the limit, and by how much
+   */
+  constructor(limit, message) {
+    super(message);
+    this.name = 'LimitExceededError';
+    this.code = 'ERR_LIMIT_EXCEEDED';
+    this.limit = limit;
+  }
+}
+
+/**
+ * Rendering, encoding or extracting the text of one page failed
+ */
+export class RenderError extends Error {
+  /**
+   * @param {number} pageNumber - Page that failed (1-based)
+   * @param {{ cause?: unknown }} [options] - The underlying error
+   */
+  constructor(pageNumber, options) {
+    const reason = options?.cause instanceof Error
+      ? options.cause.message
+      : String(options?.cause ?? 'unknown error');
+    super(`Failed to render page ${pageNumber}: ${reason}`, options);
+    this.name = 'RenderError';
+    this.code = 'ERR_RENDER';
+    this.pageNumber = pageNumber;
+  }
+}
+
+/**
+ * A document handle was used after close(), or closed under a page that was
+ * still rendering
+ */
+export class DocumentClosedError extends Error {
+  constructor(message = 'PDF document has been closed.') {
+    super(message);
+    this.name = 'DocumentClosedError';
+    this.code = 'ERR_DOCUMENT_CLOSED';
+  }
+}
+
+/**
+ * A render worker thread exited (e.g. out of memory) while drawing a page,
+ * or no render workers are left
+ */
+export class WorkerExitedError extends Error {
+  /**
+   * @param {{ cause?: unknown }} [options] - Why the worker exited, if known
+   */
+  constructor(options) {
+    const reason = options?.cause instanceof Error
+      ? `: ${options.cause.message}`
+      : '.';
+    super(`Render worker exited${reason}`, options);
+    this.name = 'WorkerExitedError';
+    this.code = 'ERR_WORKER_EXITED';
+  }
+}
+
+/**
+ * Thrown when a PDF is encrypted and no password was given
+ */
+export class PasswordRequiredError extends Error {
+  constructor(
+    message = 'This PDF is password-protected; a password is required.',
+  ) {
+    super(message);
+    this.name = 'PasswordRequiredError';
+    this.code = 'ERR_PASSWORD_REQUIRED';
+  }
+}
+
+/**
+ * Thrown when the password given for an encrypted PDF is wrong
+ */
+export class IncorrectPasswordError extends Error {
+  constructor(message = 'The password for this PDF is incorrect.') {
+    super(message);
+    this.name = 'IncorrectPasswordError';
+    this.code = 'ERR_INCORRECT_PASSWORD';
+  }
+}
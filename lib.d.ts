@@ -4,32 +4,487 @@
  * Automatically configures PDF.js standard fonts to eliminate font warnings.
  */
 
+import type { Readable } from 'node:stream';
+
+/** In-memory PDF bytes */
+export type PDFData = Buffer | Uint8Array | ArrayBuffer;
+
+/** A readable stream of PDF bytes (Node.js or WHATWG) */
+export type PDFStream = Readable | ReadableStream<Uint8Array>;
+
+/** Any supported PDF source: a file path, PDF bytes, or a readable stream */
+export type PDFInput = string | PDFData | PDFStream;
+
+/** A rectangle in PDF user space (points, origin at the bottom-left) */
+export interface PDFRect {
+  /** Left edge */
+  x: number;
+  /** Bottom edge */
+  y: number;
+  width: number;
+  height: number;
+}
+
+/** A rectangle in output image pixels (origin at the top-left) */
+export interface Placement {
+  /** Left edge (negative when cropped by fit 'cover') */
+  x: number;
+  /** Top edge (negative when cropped by fit 'cover') */
+  y: number;
+  width: number;
+  height: number;
+}
+
+/** Where the page sits in the square (contain) or which part is kept (cover) */
+export type Position =
+  | 'center'
+  | 'top'
+  | 'bottom'
+  | 'left'
+  | 'right'
+  | 'top-left'
+  | 'top-right'
+  | 'bottom-left'
+  | 'bottom-right';
+
+/**
+ * How extractedText is rebuilt from the page's text items: 'raw' puts every
+ * item on its own line; 'lines' joins items into lines by position and
+ * hasEOL, spacing words by gap width; 'layout' also orders columns and
+ * separates paragraphs with blank lines
+ */
+export type TextMode = 'raw' | 'lines' | 'layout';
+
+/**
+ * How images are returned: a data URI string (default), a bare base64
+ * string, or the raw encoded bytes as a Buffer
+ */
+export type OutputMode = 'dataUri' | 'base64' | 'buffer';
+
+/** A word or line located in the output image */
+export interface TextBox {
+  /** The word, or the line's text */
+  text: string;
+  /** Left edge in output pixels */
+  x: number;
+  /** Top edge in output pixels */
+  y: number;
+  /** Width in output pixels */
+  width: number;
+  /** Height in output pixels */
+  height: number;
+  /** Line number within the page (0-based, in content-stream order) */
+  line: number;
+  /** Text block (paragraph or column) within the page (0-based, in reading order) */
+  block: number;
+  /** Font name, e.g. 'Helvetica-Bold' */
+  fontName: string;
+  /** Font size in PDF points */
+  fontSize: number;
+}
+
 export interface ConvertedPDFPage {
   /** Page number (1-based) */
   pageNumber: number;
-  /** Path to the original PDF file */
-  originalPath: string;
-  /** Base64 encoded image string with data URL prefix */
+  /** The page's label in the PDF, e.g. 'iv' or 'A-1' (null when the document defines none) */
+  pageLabel: string | null;
+  /** Absolute path to the original PDF file (null when not read from a path) */
+  originalPath: string | null;
+  /** Tile number within the page (0-based; layout 'tile' only) */
+  tileIndex?: number;
+  /** Number of tiles the page was split into (layout 'tile' only) */
+  tileCount?: number;
+  /** Page area shown in the image (whole page, trimmed content or tile), in PDF user space */
+  sourceRect: PDFRect;
+  /**
+   * Where sourceRect landed in the output image, in pixels. Extends past the
+   * image edges for fit 'cover'. On unrotated pages, PDF point (px, py) maps to
+   * x = placement.x + (px - sourceRect.x) / sourceRect.width * placement.width,
+   * y = placement.y + (sourceRect.y + sourceRect.height - py) / sourceRect.height * placement.height
+   */
+  placement: Placement;
+  /** Base64 encoded image: data URI for output 'dataUri', bare base64 for 'base64' */
   base64EncodedImage: string;
+  /** Image MIME type, e.g. 'image/png' */
+  mimeType: string;
+  /** Image width in pixels */
+  width: number;
+  /** Image height in pixels */
+  height: number;
+  /** Size of the encoded image in bytes (before any base64 encoding) */
+  byteLength: number;
   /** Extracted text from the page */
   extractedText: string;
+  /**
+   * Words or lines with their boxes in the output image (textBoxes option
+   * only). Text cropped away by fit 'cover' or outside a tile is left out
+   */
+  textBoxes?: TextBox[];
+  /** Why the page failed; set on placeholder entries (onPageError 'placeholder') only */
+  error?: PageError;
 }
 
-export interface ConvertOptions {
-  /** Maximum pages to convert (default: 10) */
-  maxPages?: number;
+/** A page that failed to render (onPageError 'skip' or 'placeholder') */
+export interface PageError {
+  /** Page number (1-based) */
+  pageNumber: number;
+  /** Error code, e.g. 'ERR_RENDER' */
+  code: ErrorCode;
+  /** Error message */
+  message: string;
+}
+
+/** Progress of a conversion, passed to onProgress */
+export type ProgressEvent =
+  | {
+    /** The PDF was parsed and the pages to convert selected */
+    type: 'document-loaded';
+    /** Milliseconds since the conversion started */
+    elapsedMs: number;
+    /** Total pages in the document */
+    numPages: number;
+    /** Pages selected for conversion */
+    pageCount: number;
+  }
+  | {
+    /**
+     * A page started, finished drawing, had its image encoded (once per
+     * tile for layout 'tile'), or finished
+     */
+    type: 'page-started' | 'page-rendered' | 'page-encoded' | 'page-done';
+    /** Milliseconds since the page started */
+    elapsedMs: number;
+    /** Page number (1-based) */
+    pageNumber: number;
+    /** Tile that was encoded (page-encoded with layout 'tile' only) */
+    tileIndex?: number;
+    /** Why the page failed (page-done for a failed page only) */
+    error?: PageError;
+  };
+
+/** Converted pages plus the pages that failed to render */
+export type ConvertResult<P> = P[] & {
+  /** Failed pages in page order (always empty with onPageError 'throw') */
+  errors: PageError[];
+};
+
+/** A converted page returned with `output: 'buffer'` */
+export interface ConvertedPDFPageBuffer
+  extends Omit<ConvertedPDFPage, 'base64EncodedImage'> {
+  /** Raw encoded image bytes */
+  image: Buffer;
+}
+
+/** The page type produced by a given set of options */
+export type ConvertedPage<O> = O extends { output: 'buffer' }
+  ? ConvertedPDFPageBuffer
+  : ConvertedPDFPage;
+
+/** Output image formats ('jpg' and 'tif' are aliases) */
+export type ImageFormat =
+  | 'png'
+  | 'jpg'
+  | 'jpeg'
+  | 'webp'
+  | 'avif'
+  | 'tiff'
+  | 'tif';
+
+/**
+ * Image encoder settings. Settings that do not apply to the chosen format
+ * are ignored.
+ */
+export interface EncoderOptions {
+  /** Quality 1-100 (jpeg default: 95; used by jpeg, webp, avif, tiff and palette png) */
+  quality?: number;
+  /** Lossless webp/avif; tiff is lossless (LZW) unless this is false */
+  lossless?: boolean;
+  /** CPU effort: png 1-10 (palette only), webp 0-6, avif 0-9 */
+  effort?: number;
+  /** PNG zlib compression level 0-9 */
+  compressionLevel?: number;
+  /** Quantise PNG to an 8-bit palette */
+  palette?: boolean;
+  /** Progressive (interlaced) JPEG */
+  progressive?: boolean;
+  /** Use mozjpeg defaults for smaller JPEGs */
+  mozjpeg?: boolean;
+  /** JPEG/AVIF chroma subsampling */
+  chromaSubsampling?: '4:2:0' | '4:4:4';
+}
+
+export interface RenderOptions {
   /** Target square size in pixels (default: 896) */
   size?: number;
-  /** Render DPI (converted to PDF.js scale via dpi/96; higher = crisper text; default: 700) */
-  dpi?: number;
+  /**
+   * Render DPI (converted to PDF.js scale via dpi/96; higher = crisper text),
+   * or 'auto' to render each page so the side that fills the square gets
+   * `oversample` pixels per output pixel (default: 700)
+   */
+  dpi?: number | 'auto';
+  /** Rendered pixels per output pixel for dpi 'auto' (default: 2) */
+  oversample?: number;
+  /** Largest canvas (width x height) a page is rendered to; bigger renders are scaled down to fit (default: 33554432) */
+  maxCanvasPixels?: number;
+  /**
+   * What a page over maxCanvasPixels does: 'clamp' renders it smaller,
+   * 'throw' fails it with a RenderError caused by a LimitExceededError
+   * before anything is drawn. convert() applies the same policy to maxPages
+   * (default: 'clamp')
+   */
+  onLimit?: 'clamp' | 'throw';
+  /** Output format (default: 'png') */
+  format?: ImageFormat;
+  /** Image encoder settings */
+  encoder?: EncoderOptions;
+  /** Background color (letterbox). Hex #RRGGBB[AA] or 'transparent' (default: '#ffffffff'); alpha is dropped for JPEG */
+  bg?: string;
+  /** How the image is returned (default: 'dataUri') */
+  output?: OutputMode;
+  /**
+   * 'letterbox' fits each page into one square; 'tile' splits the page along
+   * its long axis into overlapping square tiles, one result per tile
+   * (default: 'letterbox')
+   */
+  layout?: 'letterbox' | 'tile';
+  /** Minimum overlap between neighbouring tiles as a fraction of the tile size, 0 to <1 (default: 0.1) */
+  tileOverlap?: number;
+  /** Maximum tiles per page; beyond this, tiles grow to cover the page (default: 8) */
+  maxTiles?: number;
+  /** 'contain' letterboxes the page; 'cover' scales it to fill the square and crops the overflow (default: 'contain') */
+  fit?: 'contain' | 'cover';
+  /** Remove blank page margins before fitting, so content uses the full square (default: false) */
+  trim?: boolean;
+  /** Page placement for 'contain', or the kept area for 'cover' (default: 'center') */
+  position?: Position;
+  /** How extractedText is reconstructed (default: 'raw') */
+  textMode?: TextMode;
+  /** Return textBoxes for every word (true or 'words') or line ('lines') (default: false) */
+  textBoxes?: boolean | 'words' | 'lines';
+  /**
+   * Cancels rendering: the PDF.js render task is cancelled and the page
+   * rejects with the signal's reason (an AbortError by default)
+   */
+  signal?: AbortSignal;
+  /** Fail a page that takes longer than this to render, with a RenderError whose cause is a TimeoutError */
+  pageTimeoutMs?: number;
+  /**
+   * Called synchronously with each page's started, rendered, encoded and
+   * done events; convert() and convertIter() also report document-loaded
+   */
+  onProgress?: (event: ProgressEvent) => void;
+}
+
+export interface PDFMetadata {
+  /** Document information dictionary (Title, Author, Producer, ...) */
+  info: Record<string, unknown>;
+  /** Parsed XMP metadata, if the document has any */
+  metadata: Record<string, unknown> | null;
+}
+
+export interface PDFDocument {
+  /** Total number of pages in the document */
+  readonly numPages: number;
+  /** Label of every page, in page order (null when the document defines none) */
+  readonly pageLabels: string[] | null;
+  /** Absolute path to the original PDF file (null when not read from a path) */
+  readonly originalPath: string | null;
+  /**
+   * Render one page to a square image with its extracted text.
+   * Rejects for layout 'tile'; use renderTiles() instead.
+   * @param pageNumber Page number (1-based)
+   * @param options Render options
+   */
+  renderPage<O extends RenderOptions = {}>(
+    pageNumber: number,
+    options?: O & RenderOptions,
+  ): Promise<ConvertedPage<O>>;
+  /**
+   * Render one page as overlapping square tiles along its long axis, each
+   * with the text that falls inside it
+   * @param pageNumber Page number (1-based)
+   * @param options Render options (tileOverlap, maxTiles, ...)
+   */
+  renderTiles<O extends RenderOptions = {}>(
+    pageNumber: number,
+    options?: O & RenderOptions,
+  ): Promise<ConvertedPage<O>[]>;
+  /**
+   * Extract the text of one page
+   * @param pageNumber Page number (1-based)
+   * @param options Text reconstruction mode (default: 'raw')
+   */
+  extractText(
+    pageNumber: number,
+    options?: { textMode?: TextMode },
+  ): Promise<string>;
+  /** Read the document information dictionary and XMP metadata */
+  getMetadata(): Promise<PDFMetadata>;
+  /** Release the parsed document; the handle cannot be used afterwards */
+  close(): Promise<void>;
+}
+
+export interface ConvertOptions extends RenderOptions {
+  /**
+   * Maximum pages to convert (default: 10). With onLimit 'throw', a
+   * selection of more pages (including one made with `pages`) throws a
+   * LimitExceededError instead of being cut short
+   */
+  maxPages?: number;
   /** First page to convert (1-based, default: 1) */
   first?: number;
-  /** Output format: 'png' or 'jpg' (default: 'png') */
-  format?: 'png' | 'jpg' | 'jpeg';
-  /** Background color (letterbox). Hex #RRGGBB[AA] or 'transparent' (default: '#ffffffff') */
-  bg?: string;
+  /**
+   * Page selection; overrides first/maxPages when set. Either page numbers
+   * (negative counts from the end, -1 is the last page) or a comma-separated
+   * spec such as '1-3,7,10-', '-2', 'first 3', 'last 5', 'odd', 'even', 'all'.
+   * '-2' is the second-to-last page, not pages 1-2 (write '1-2' or
+   * 'first 2'). Out-of-range pages throw a PageRangeError.
+   */
+  pages?: string | number[];
   /** Max parallel page processes (default: 4) */
   concurrency?: number;
+  /**
+   * Schedule pages through a limiter shared with other conversions (see
+   * createLimiter()), so several documents share one concurrency budget
+   */
+  limiter?: Limiter;
+  /**
+   * Render pages on this many worker threads, each with its own parsed copy
+   * of the PDF; 0 renders on the main thread. Keep concurrency at least as
+   * high so every worker has a page (default: 0)
+   */
+  workers?: number;
+  /**
+   * Memory budget for the pages rendering at once, estimated from their
+   * canvas sizes; a page waits until its render fits (default: 1073741824)
+   */
+  maxMemoryBytes?: number;
+  /** Refuse PDFs larger than this with a LimitExceededError, before parsing them */
+  maxInputBytes?: number;
+  /** Password for encrypted PDFs (user or owner password) */
+  password?: string;
+  /**
+   * When a page fails to render: 'throw' rejects with its RenderError,
+   * 'skip' leaves it out, 'placeholder' returns a blank square in the
+   * background color with an `error` field. Skipped and placeholder pages
+   * are listed in `errors` (default: 'throw')
+   */
+  onPageError?: 'throw' | 'skip' | 'placeholder';
+  /**
+   * Cancels the conversion: pending pages never start, renders in progress
+   * are cancelled, the document is destroyed, and the promise (or iterator)
+   * rejects with the signal's reason
+   */
+  signal?: AbortSignal;
+}
+
+export interface OpenOptions {
+  /** Password for encrypted PDFs (user or owner password) */
+  password?: string;
+  /** Cancels reading and parsing the document */
+  signal?: AbortSignal;
+  /** Refuse PDFs larger than this with a LimitExceededError, before parsing them */
+  maxInputBytes?: number;
+  /**
+   * Memory budget shared by the renders in progress, estimated from their
+   * canvas sizes; a page waits until its render fits (default: 1073741824)
+   */
+  maxMemoryBytes?: number;
+  /**
+   * Render pages on this many worker threads, each with its own parsed copy
+   * of the PDF; close() stops them (default: 0, the main thread)
+   */
+  workers?: number;
+}
+
+/** Stable `code` of every error thrown by the library */
+export type ErrorCode =
+  | 'ERR_INVALID_OPTION'
+  | 'ERR_INVALID_PDF'
+  | 'ERR_PAGE_RANGE'
+  | 'ERR_LIMIT_EXCEEDED'
+  | 'ERR_RENDER'
+  | 'ERR_PASSWORD_REQUIRED'
+  | 'ERR_INCORRECT_PASSWORD'
+  | 'ERR_DOCUMENT_CLOSED'
+  | 'ERR_WORKER_EXITED';
+
+/** An option (or the input argument) has an invalid type or value */
+export declare class InvalidOptionError extends TypeError {
+  constructor(option: string, message: string);
+  name: 'InvalidOptionError';
+  code: 'ERR_INVALID_OPTION';
+  /** Name of the offending option, e.g. 'size' or 'encoder.quality' */
+  option: string;
+}
+
+/** The input is not a PDF pdf.js can read (corrupt, empty or not a PDF) */
+export declare class InvalidPdfError extends Error {
+  constructor(message: string, options?: { cause?: unknown });
+  name: 'InvalidPdfError';
+  code: 'ERR_INVALID_PDF';
+}
+
+/** The requested pages do not exist in the document, or select nothing */
+export declare class PageRangeError extends RangeError {
+  constructor(message: string);
+  name: 'PageRangeError';
+  code: 'ERR_PAGE_RANGE';
+}
+
+/**
+ * The input or a page is bigger than a safety limit allows (maxInputBytes,
+ * maxPages, or maxCanvasPixels with onLimit 'throw')
+ */
+export declare class LimitExceededError extends RangeError {
+  constructor(limit: string, message: string);
+  name: 'LimitExceededError';
+  code: 'ERR_LIMIT_EXCEEDED';
+  /** Name of the limit, e.g. 'maxInputBytes' */
+  limit: 'maxInputBytes' | 'maxPages' | 'maxCanvasPixels';
+}
+
+/** Rendering, encoding or extracting the text of one page failed */
+export declare class RenderError extends Error {
+  constructor(pageNumber: number, options?: { cause?: unknown });
+  name: 'RenderError';
+  code: 'ERR_RENDER';
+  /** Page that failed (1-based) */
+  pageNumber: number;
+}
+
+/**
+ * A document handle was used after close(), or closed under a page that was
+ * still rendering
+ */
+export declare class DocumentClosedError extends Error {
+  constructor(message?: string);
+  name: 'DocumentClosedError';
+  code: 'ERR_DOCUMENT_CLOSED';
+}
+
+/**
+ * A render worker thread exited (e.g. out of memory) while drawing a page,
+ * or no render workers are left
+ */
+export declare class WorkerExitedError extends Error {
+  constructor(options?: { cause?: unknown });
+  name: 'WorkerExitedError';
+  code: 'ERR_WORKER_EXITED';
+}
+
+/** Thrown when a PDF is encrypted and no password was given */
+export declare class PasswordRequiredError extends Error {
+  constructor(message?: string);
+  name: 'PasswordRequiredError';
+  code: 'ERR_PASSWORD_REQUIRED';
+}
+
+/** Thrown when the password given for an encrypted PDF is wrong */
+export declare class IncorrectPasswordError extends Error {
+  constructor(message?: string);
+  name: 'IncorrectPasswordError';
+  code: 'ERR_INCORRECT_PASSWORD';
 }
 
 /**
@@ -38,7 +493,94 @@ export interface ConvertOptions {
  * @param options Conversion options
  * @returns Promise that resolves to array of converted pages
  */
-export declare function convert(
+export declare function convert<O extends ConvertOptions = {}>(
   pathToPdf: string,
-  options?: ConvertOptions,
-): Promise<ConvertedPDFPage[]>;
+  options?: O & ConvertOptions,
+): Promise<ConvertResult<ConvertedPage<O> & { originalPath: string }>>;
+/**
+ * Convert PDF pages to base64 encoded square images with extracted text
+ * @param input PDF bytes (Buffer, Uint8Array, ArrayBuffer) or a readable stream
+ * @param options Conversion options
+ * @returns Promise that resolves to array of converted pages (originalPath is null)
+ */
+export declare function convert<O extends ConvertOptions = {}>(
+  input: PDFData | PDFStream,
+  options?: O & ConvertOptions,
+): Promise<ConvertResult<ConvertedPage<O> & { originalPath: null }>>;
+/**
+ * Convert PDF pages to base64 encoded square images with extracted text
+ * @param input Path, PDF bytes, a readable stream, or an openPdf() handle.
+ *   A handle is rendered as opened (its password, maxInputBytes,
+ *   maxMemoryBytes and workers apply) and is left open for the caller
+ * @param options Conversion options
+ * @returns Promise that resolves to array of converted pages
+ */
+export declare function convert<O extends ConvertOptions = {}>(
+  input: PDFInput | PDFDocument,
+  options?: O & ConvertOptions,
+): Promise<ConvertResult<ConvertedPage<O>>>;
+
+/**
+ * Open a PDF once so it can be rendered and queried many times.
+ * Call close() when done to release the parsed document.
+ * @param input Path, PDF bytes, or a readable stream
+ * @param options password: for encrypted PDFs; signal, maxInputBytes, maxMemoryBytes, workers
+ * @returns Promise that resolves to a reusable document handle
+ * @throws {LimitExceededError} If the PDF is larger than maxInputBytes
+ * @throws {PasswordRequiredError} If the PDF is encrypted and no password was given
+ * @throws {IncorrectPasswordError} If the password is wrong
+ * @throws {InvalidPdfError} If the input is not a readable PDF
+ */
+export declare function openPdf(
+  input: PDFInput,
+  options?: OpenOptions,
+): Promise<PDFDocument>;
+
+/**
+ * Convert PDF pages one at a time, yielding each page in page order as soon
+ * as it is ready. At most `concurrency` pages are rendered or held ahead of
+ * the consumer. Stopping iteration early closes the document, unless it
+ * is an openPdf() handle, which is rendered as opened and left open.
+ * @param input Path, PDF bytes, a readable stream, or an openPdf() handle
+ * @param options Conversion options
+ * @returns Async iterable of converted pages in page order; its return
+ *   value lists the pages that failed (onPageError 'skip' or 'placeholder')
+ */
+export declare function convertIter<O extends ConvertOptions = {}>(
+  input: PDFInput | PDFDocument,
+  options?: O & ConvertOptions,
+): AsyncGenerator<ConvertedPage<O>, PageError[], undefined>;
+
+/** Runs async functions with at most a fixed number in progress at once */
+export type Limiter = <T>(fn: () => Promise<T>) => Promise<T>;
+
+/**
+ * Create a limiter that runs at most `concurrency` async functions at once,
+ * in call order. Pass it as the `limiter` option of several conversions to
+ * give them one concurrency budget between them.
+ * @param concurrency Max functions in progress at once
+ * @throws {InvalidOptionError} If concurrency is not a positive integer
+ */
+export declare function createLimiter(concurrency: number): Limiter;
+
+/**
+ * Page text file formats: plain text, JSON with word boxes, hOCR, ALTO XML
+ * (v4) or Markdown
+ */
+export type TextFormat = 'txt' | 'json' | 'hocr' | 'alto' | 'markdown';
+
+/**
+ * Serialize the text of a converted page. Every format but 'txt' is built
+ * from the page's textBoxes (convert with `textBoxes: true`), so its
+ * coordinates are pixels of the page's image.
+ * @param page Converted page
+ * @param format Output format (default: 'txt')
+ * @param options imageName: file name of the page image, referenced from json/hOCR/ALTO
+ * @returns Serialized text
+ * @throws {InvalidOptionError} If the format is unknown, or needs textBoxes the page does not have
+ */
+export declare function formatText(
+  page: ConvertedPDFPage | ConvertedPDFPageBuffer,
+  format?: TextFormat,
+  options?: { imageName?: string },
+): string;
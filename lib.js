@@ -6,204 +6,1558 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import sharp from 'sharp';
-import { createRequire } from 'node:module';
-import { fileURLToPath } from 'node:url';
-const require = createRequire(import.meta.url);
 // PDF.js (legacy build recommended for Node)
 import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { fontIds, fontNames, loadDocument, renderCanvas } from './render.js';
+import { createRenderPool } from './render-pool.js';
+import { reconstructText, TEXT_MODES, textBoxes } from './text.js';
 
-// Use bundled standard fonts to eliminate warnings
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const standardFontsPath = path.join(__dirname, 'standard_fonts');
-// Point workerSrc at the installed worker bundle
-// pdfjs.GlobalWorkerOptions.workerSrc = require.resolve(
-//   "pdfjs-dist/legacy/build/pdf.worker.mjs",
-// );
+import {
+  DocumentClosedError,
+  IncorrectPasswordError,
+  InvalidOptionError,
+  InvalidPdfError,
+  LimitExceededError,
+  PageRangeError,
+  PasswordRequiredError,
+  RenderError,
+  WorkerExitedError,
+} from './errors.js';
+
+export { formatText } from './serialize.js';
+export {
+  DocumentClosedError,
+  IncorrectPasswordError,
+  InvalidOptionError,
+  InvalidPdfError,
+  LimitExceededError,
+  PageRangeError,
+  PasswordRequiredError,
+  RenderError,
+  WorkerExitedError,
+};
+
+/**
+ * @typedef {string | Buffer | Uint8Array | ArrayBuffer | import('node:stream').Readable | ReadableStream<Uint8Array>} PDFInput
+ * A filesystem path, in-memory PDF bytes, or a Node/web readable stream of PDF bytes
+ */
 
 /**
  * @typedef {Object} ConvertedPDFPage
  * @property {number} pageNumber - Page number (1-based)
- * @property {string} originalPath - Path to the original PDF file
- * @property {string} base64EncodedImage - Base64 encoded image string (data URI)
+ * @property {string | null} pageLabel - The page's label in the PDF, e.g. 'iv' or 'A-1' (null when the document defines none)
+ * @property {string | null} originalPath - Path to the original PDF file (null when not read from a path)
+ * @property {number} [tileIndex] - Tile number within the page (0-based, layout 'tile' only)
+ * @property {number} [tileCount] - Number of tiles the page was split into (layout 'tile' only)
+ * @property {PDFRect} sourceRect - Page area shown in the image (whole page, trimmed content, or tile), in PDF user space
+ * @property {Placement} placement - Where sourceRect landed in the output image, in pixels (can overflow the image for fit 'cover')
+ * @property {string} [base64EncodedImage] - Base64 encoded image: a data URI (output 'dataUri') or bare base64 (output 'base64')
+ * @property {Buffer} [image] - Raw encoded image bytes (output 'buffer')
+ * @property {string} mimeType - Image MIME type, e.g. 'image/png'
+ * @property {number} width - Image width in pixels
+ * @property {number} height - Image height in pixels
+ * @property {number} byteLength - Size of the encoded image in bytes (before any base64 encoding)
  * @property {string} extractedText - Extracted text from the page
+ * @property {TextBox[]} [textBoxes] - Words or lines with their boxes in the output image (textBoxes option only)
+ * @property {PageError} [error] - Why the page failed (placeholder entries from onPageError 'placeholder' only)
+ */
+
+/**
+ * @typedef {Object} PageError
+ * @property {number} pageNumber - Page that failed (1-based)
+ * @property {string} code - Error code, e.g. 'ERR_RENDER'
+ * @property {string} message - Error message
+ */
+
+/**
+ * @typedef {Object} TextBox
+ * @property {string} text - The word or line
+ * @property {number} x - Left edge in output pixels
+ * @property {number} y - Top edge in output pixels
+ * @property {number} width - Width in output pixels
+ * @property {number} height - Height in output pixels
+ * @property {number} line - Line number within the page (0-based, in content-stream order)
+ * @property {number} block - Text block (paragraph or column) within the page (0-based, in reading order)
+ * @property {string} fontName - Font name, e.g. 'Helvetica-Bold'
+ * @property {number} fontSize - Font size in PDF points
+ */
+
+/**
+ * @typedef {Object} ProgressEvent
+ * @property {'document-loaded' | 'page-started' | 'page-rendered' | 'page-encoded' | 'page-done'} type - What happened:
+ *   the PDF was parsed, or a page started, finished drawing, had its image (or one tile) encoded, or finished
+ * @property {number} elapsedMs - Milliseconds since the conversion started (document-loaded) or since the page started
+ * @property {number} [pageNumber] - Page the event is about (page events only)
+ * @property {number} [tileIndex] - Tile that was encoded (page-encoded with layout 'tile' only)
+ * @property {number} [numPages] - Total pages in the document (document-loaded only)
+ * @property {number} [pageCount] - Pages selected for conversion (document-loaded only)
+ * @property {PageError} [error] - Why the page failed (page-done for a failed page only)
+ */
+
+/**
+ * @typedef {<T>(fn: () => Promise<T>) => Promise<T>} Limiter
+ * Runs async functions with at most a fixed number in progress at once
+ */
+
+/**
+ * @typedef {Object} PDFRect
+ * @property {number} x - Left edge in PDF user space (points)
+ * @property {number} y - Bottom edge in PDF user space (points)
+ * @property {number} width - Width in points
+ * @property {number} height - Height in points
+ */
+
+/**
+ * @typedef {Object} Placement
+ * @property {number} x - Left edge in output pixels (negative when cropped by fit 'cover')
+ * @property {number} y - Top edge in output pixels (negative when cropped by fit 'cover')
+ * @property {number} width - Scaled width in output pixels
+ * @property {number} height - Scaled height in output pixels
  */
 
 /**
  * @typedef {Object} ConvertOptions
- * @property {number} [maxPages=10] - Maximum pages to convert
+ * @property {number} [maxPages=10] - Maximum pages to convert (with onLimit 'throw', also the most a `pages` selection may select)
  * @property {number} [size=896] - Target square size in pixels
- * @property {number} [dpi=700] - Render DPI (converted to PDF.js scale via dpi/96)
+ * @property {number | 'auto'} [dpi=700] - Render DPI (converted to PDF.js scale via dpi/96), or 'auto' to pick a scale per page from its size
+ * @property {number} [oversample=2] - With dpi 'auto', rendered pixels per output pixel along the side that fills the square
+ * @property {number} [maxCanvasPixels=33554432] - Largest canvas (width x height) a page is rendered to; bigger renders are scaled down to fit (or fail, with onLimit 'throw')
+ * @property {'clamp' | 'throw'} [onLimit='clamp'] - What a page over maxCanvasPixels or a selection over maxPages pages does: get scaled down and cut short, or fail with a LimitExceededError (a page's RenderError has it as its cause); 'throw' also applies maxPages to `pages`
  * @property {number} [first=1] - First page to convert (1-based)
- * @property {string} [format='png'] - Output format: 'png' or 'jpg'
+ * @property {string | number[]} [pages] - Page selection (e.g. '1-3,7,10-', 'last 5', 'odd', 'all' or [1, 3, -1]; '-N' counts from the end, it is not the range 1-N); overrides first/maxPages
+ * @property {string} [format='png'] - Output format: 'png', 'jpg', 'webp', 'avif' or 'tiff'
+ * @property {EncoderOptions} [encoder] - Image encoder settings
  * @property {string} [bg='#ffffffff'] - Background color (letterbox). Hex #RRGGBB[AA] or 'transparent'
  * @property {number} [concurrency=4] - Max parallel page processes
+ * @property {Limiter} [limiter] - Schedule pages through a limiter shared with other conversions (from createLimiter()) instead of one of their own
+ * @property {number} [workers=0] - Render pages on this many worker threads (each parses its own copy of the PDF); 0 renders on the main thread
+ * @property {number} [maxMemoryBytes=1073741824] - Memory budget for page renders in progress, estimated from their canvas sizes; pages wait until theirs fits
+ * @property {number} [maxInputBytes] - Refuse (LimitExceededError) PDFs larger than this, before they are parsed
+ * @property {'dataUri' | 'base64' | 'buffer'} [output='dataUri'] - How the image is returned: data URI string, bare base64 string, or Buffer
+ * @property {'letterbox' | 'tile'} [layout='letterbox'] - Fit each page into one square, or split long pages into overlapping square tiles
+ * @property {number} [tileOverlap=0.1] - Minimum overlap between neighbouring tiles, as a fraction of the tile size
+ * @property {number} [maxTiles=8] - Maximum tiles per page; tiles grow beyond this to cover the page
+ * @property {'contain' | 'cover'} [fit='contain'] - Letterbox the page into the square, or scale it to fill and crop the overflow
+ * @property {boolean} [trim=false] - Remove blank page margins before fitting
+ * @property {string} [position='center'] - Page placement (contain) or kept area (cover): center, top, bottom, left, right, top-left, top-right, bottom-left, bottom-right
+ * @property {'raw' | 'lines' | 'layout'} [textMode='raw'] - Text reconstruction: one item per line, lines joined by position, or lines plus paragraphs and column order
+ * @property {boolean | 'words' | 'lines'} [textBoxes=false] - Also return the pixel box of every word (true / 'words') or line ('lines') in the output image
+ * @property {string} [password] - Password for encrypted PDFs (user or owner password)
+ * @property {(event: ProgressEvent) => void} [onProgress] - Called synchronously as the document loads and each page starts, is drawn, encoded and done
+ * @property {AbortSignal} [signal] - Cancels the conversion: pending pages never start, renders in progress are cancelled, the document is destroyed, and the promise rejects with the signal's reason
+ * @property {number} [pageTimeoutMs] - Fail a page (RenderError with a TimeoutError cause) that takes longer than this to render
+ * @property {'throw' | 'skip' | 'placeholder'} [onPageError='throw'] - When a page fails to render: reject, leave the page out, or return a blank placeholder square; skipped and placeholder pages are listed in `errors`
  * @property {string} [standardFontDataUrl] - URL to standard fonts directory (auto-detected if not provided)
  */
 
+/**
+ * @typedef {Object} RenderOptions
+ * @property {number} [size=896] - Target square size in pixels
+ * @property {number | 'auto'} [dpi=700] - Render DPI (converted to PDF.js scale via dpi/96), or 'auto' to pick a scale per page from its size
+ * @property {number} [oversample=2] - With dpi 'auto', rendered pixels per output pixel along the side that fills the square
+ * @property {number} [maxCanvasPixels=33554432] - Largest canvas (width x height) a page is rendered to; bigger renders are scaled down to fit (or fail, with onLimit 'throw')
+ * @property {'clamp' | 'throw'} [onLimit='clamp'] - When a page needs more than maxCanvasPixels: render it smaller, or fail it (RenderError caused by a LimitExceededError)
+ * @property {string} [format='png'] - Output format: 'png', 'jpg', 'webp', 'avif' or 'tiff'
+ * @property {EncoderOptions} [encoder] - Image encoder settings
+ * @property {string} [bg='#ffffffff'] - Background color (letterbox). Hex #RRGGBB[AA] or 'transparent'
+ * @property {'dataUri' | 'base64' | 'buffer'} [output='dataUri'] - How the image is returned: data URI string, bare base64 string, or Buffer
+ * @property {'letterbox' | 'tile'} [layout='letterbox'] - Fit each page into one square, or split long pages into overlapping square tiles
+ * @property {number} [tileOverlap=0.1] - Minimum overlap between neighbouring tiles, as a fraction of the tile size
+ * @property {number} [maxTiles=8] - Maximum tiles per page; tiles grow beyond this to cover the page
+ * @property {'contain' | 'cover'} [fit='contain'] - Letterbox the page into the square, or scale it to fill and crop the overflow
+ * @property {boolean} [trim=false] - Remove blank page margins before fitting
+ * @property {string} [position='center'] - Page placement (contain) or kept area (cover): center, top, bottom, left, right, top-left, top-right, bottom-left, bottom-right
+ * @property {'raw' | 'lines' | 'layout'} [textMode='raw'] - Text reconstruction: one item per line, lines joined by position, or lines plus paragraphs and column order
+ * @property {boolean | 'words' | 'lines'} [textBoxes=false] - Also return the pixel box of every word (true / 'words') or line ('lines') in the output image
+ */
+
+/**
+ * @typedef {Object} EncoderOptions
+ * Settings that do not apply to the chosen format are ignored.
+ * @property {number} [quality] - 1-100 (jpeg default 95; webp, avif, tiff, png with palette)
+ * @property {boolean} [lossless] - Lossless webp/avif; tiff is lossless (LZW) unless false
+ * @property {number} [effort] - CPU effort: png 1-10 (palette), webp 0-6, avif 0-9
+ * @property {number} [compressionLevel] - PNG zlib compression level 0-9
+ * @property {boolean} [palette] - Quantise PNG to an 8-bit palette
+ * @property {boolean} [progressive] - Progressive (interlaced) JPEG
+ * @property {boolean} [mozjpeg] - Use mozjpeg defaults for smaller JPEGs
+ * @property {'4:2:0' | '4:4:4'} [chromaSubsampling] - JPEG/AVIF chroma subsampling
+ */
+
+/**
+ * @typedef {Object} PDFMetadata
+ * @property {Record<string, unknown>} info - Document information dictionary (Title, Author, ...)
+ * @property {Record<string, unknown> | null} metadata - Parsed XMP metadata, if present
+ */
+
+/**
+ * @typedef {Object} PDFDocument
+ * @property {number} numPages - Total number of pages in the document
+ * @property {string[] | null} pageLabels - Label of every page, in page order (null when the document defines none)
+ * @property {string | null} originalPath - Path to the original PDF file (null when not read from a path)
+ * @property {(pageNumber: number, options?: RenderOptions) => Promise<ConvertedPDFPage>} renderPage - Render one page to a square image with its extracted text
+ * @property {(pageNumber: number, options?: RenderOptions) => Promise<ConvertedPDFPage[]>} renderTiles - Render one page as overlapping square tiles, each with the text inside it
+ * @property {(pageNumber: number, options?: { textMode?: 'raw' | 'lines' | 'layout' }) => Promise<string>} extractText - Extract the text of one page
+ * @property {() => Promise<PDFMetadata>} getMetadata - Read the document metadata
+ * @property {() => Promise<void>} close - Release the parsed document (idempotent)
+ */
+
+const RENDER_DEFAULTS = {
+  size: 896,
+  dpi: 700, // high for crisp downsampling
+  oversample: 2,
+  maxCanvasPixels: 2 ** 25, // 32 MP (128 MB as RGBA), as in the PDF.js viewer
+  onLimit: 'clamp',
+  format: 'png',
+  bg: '#ffffffff',
+  output: 'dataUri',
+  layout: 'letterbox',
+  tileOverlap: 0.1,
+  maxTiles: 8,
+  fit: 'contain',
+  trim: false,
+  position: 'center',
+  textMode: 'raw',
+  textBoxes: false,
+};
+
+const OUTPUT_MODES = ['dataUri', 'base64', 'buffer'];
+
+// Output formats (sharp names) with their MIME type, whether they can carry
+// an alpha channel, and the valid encoder effort range
+const FORMATS = {
+  png: { mimeType: 'image/png', alpha: true, effort: [1, 10] },
+  jpeg: { mimeType: 'image/jpeg', alpha: false },
+  webp: { mimeType: 'image/webp', alpha: true, effort: [0, 6] },
+  avif: { mimeType: 'image/avif', alpha: true, effort: [0, 9] },
+  tiff: { mimeType: 'image/tiff', alpha: true },
+};
+const FORMAT_ALIASES = { jpg: 'jpeg', tif: 'tiff' };
+
+// Where the page sits in the square: [horizontal, vertical] fraction of the
+// free letterbox space (or of the overflow cropped away for fit 'cover')
+const POSITIONS = {
+  center: [0.5, 0.5],
+  top: [0.5, 0],
+  bottom: [0.5, 1],
+  left: [0, 0.5],
+  right: [1, 0.5],
+  'top-left': [0, 0],
+  'top-right': [1, 0],
+  'bottom-left': [0, 1],
+  'bottom-right': [1, 1],
+};
+
+const PAGE_ERROR_MODES = ['throw', 'skip', 'placeholder'];
+
+// Memory a render in progress is estimated to hold per canvas pixel: the
+// RGBA canvas plus the copy of its pixels handed to sharp
+const BYTES_PER_PIXEL = 8;
+const DEFAULT_MAX_MEMORY_BYTES = 2 ** 30;
+
+// Per-channel difference from the margin color that counts as content
+const TRIM_THRESHOLD = 10;
+
+const CONVERT_DEFAULTS = {
+  maxPages: 10,
+  first: 1,
+  concurrency: 4,
+  workers: 0,
+  maxMemoryBytes: DEFAULT_MAX_MEMORY_BYTES,
+  onPageError: 'throw',
+  ...RENDER_DEFAULTS,
+};
+
+// Parsed render options of the options objects convert() and convertIter()
+// build, which they reuse for every page. Callers' own objects are parsed on
+// every call, as they may change between calls.
+const resolvedOptions = new WeakMap();
+
+// Document handles returned by openPdf(), which convert() and convertIter()
+// also accept as input
+const documents = new WeakSet();
+
 /**
  * Convert PDF pages to base64 encoded square images with extracted text
- * @param {string} pathToPdf - Path to the input PDF file
+ * @param {PDFInput | PDFDocument} input - Path to the input PDF file, PDF bytes, a readable stream, or an openPdf() handle (rendered as opened and left open)
  * @param {ConvertOptions} [options={}] - Conversion options
- * @returns {Promise<ConvertedPDFPage[]>} Array of converted pages
+ * @returns {Promise<ConvertedPDFPage[] & { errors: PageError[] }>} Array of converted pages; `errors` lists the pages that failed (onPageError 'skip' or 'placeholder')
+ * @throws {InvalidOptionError} If an option is invalid (before the PDF is read)
+ * @throws {InvalidPdfError | PasswordRequiredError | IncorrectPasswordError} If the PDF cannot be opened
+ * @throws {PageRangeError} If the page selection does not fit the document
+ * @throws {LimitExceededError} If the PDF is over maxInputBytes, or the selection over maxPages (onLimit 'throw')
+ * @throws {RenderError} If a page fails to render (onPageError 'throw')
+ * @throws {DOMException} The signal's reason (an AbortError by default) when aborted
  */
-export async function convert(pathToPdf, options = {}) {
-  // Defaults
-  const opts = {
-    maxPages: 10,
-    size: 896,
-    dpi: 700, // high for crisp downsampling
-    first: 1,
-    format: 'png',
-    bg: '#ffffffff',
-    concurrency: 4,
-    ...options,
-  };
+export async function convert(input, options = {}) {
+  const started = performance.now();
+  const opts = withDefaults(CONVERT_DEFAULTS, options);
+  validateConvertOptions(opts);
 
-  // Resolve & load PDF
-  const pdfAbs = path.resolve(pathToPdf);
-  const data = await fs.readFile(pdfAbs);
-  const loadingTask = pdfjs.getDocument({
-    data: new Uint8Array(data),
-    // Node-friendly flags
-    useWorkerFetch: false,
-    disableWorker: true,
-    isEvalSupported: false,
-    useSystemFonts: true,
-    // Try absolute path without file:// prefix
-    standardFontDataUrl: `${standardFontsPath}/`,
-  });
-  const pdf = await loadingTask.promise;
+  const { doc, release } = await conversionDocument(input, opts);
+  try {
+    const pageNumbers = selectPages(opts, doc.numPages);
+    documentLoaded(opts, doc, pageNumbers, started);
+
+    const errors = [];
+    const limit = opts.limiter ?? createLimiter(opts.concurrency);
+    const jobs = pageNumbers.map((pageNum) =>
+      limit(() => renderOrReport(doc, pageNum, opts, errors))
+    );
 
-  const totalPages = pdf.numPages || 0;
-  if (totalPages <= 0) {
-    throw new Error('Could not determine page count. Is the PDF valid?');
+    // Tiles of one page stay in tileIndex order (the sort is stable)
+    const results = (await Promise.all(jobs)).flat();
+    results.sort((a, b) => a.pageNumber - b.pageNumber);
+    // Not enumerable, so the result still compares equal to a plain array
+    return Object.defineProperty(results, 'errors', {
+      value: errors.sort((a, b) => a.pageNumber - b.pageNumber),
+    });
+  } finally {
+    await release();
   }
+}
 
-  const firstPage = Math.max(1, Number(opts.first));
-  const lastPage = Math.min(totalPages, firstPage + Number(opts.maxPages) - 1);
-  if (lastPage < firstPage) {
-    throw new Error('No pages to convert with given first/maxPages options.');
+/**
+ * Convert PDF pages one at a time, yielding each page in page order as soon
+ * as it is ready. At most `concurrency` pages are rendered or held ahead of
+ * the consumer, so memory stays flat regardless of document length.
+ * Stopping iteration early (break/return) closes the document.
+ * @param {PDFInput | PDFDocument} input - Path to the input PDF file, PDF bytes, a readable stream, or an openPdf() handle (rendered as opened and left open)
+ * @param {ConvertOptions} [options={}] - Conversion options
+ * @returns {AsyncGenerator<ConvertedPDFPage, PageError[], undefined>} Converted pages in page order; returns the pages that failed (onPageError 'skip' or 'placeholder')
+ */
+export async function* convertIter(input, options = {}) {
+  const started = performance.now();
+  const opts = withDefaults(CONVERT_DEFAULTS, options);
+  validateConvertOptions(opts);
+
+  const { signal } = opts;
+  const { doc, release } = await conversionDocument(input, opts);
+  // Sliding window of in-flight pages; it doubles as the concurrency limit
+  const pending = [];
+  const errors = [];
+  try {
+    const pageNumbers = selectPages(opts, doc.numPages);
+    documentLoaded(opts, doc, pageNumbers, started);
+    let next = 0;
+    const fill = () => {
+      while (next < pageNumbers.length && pending.length < opts.concurrency) {
+        const pageNum = pageNumbers[next++];
+        const render = () => renderOrReport(doc, pageNum, opts, errors);
+        const job = opts.limiter ? opts.limiter(render) : render();
+        // Failures surface when the page is awaited in order below
+        job.catch(() => {});
+        pending.push(job);
+      }
+    };
+
+    fill();
+    while (pending.length > 0) {
+      const entries = await pending.shift();
+      // The page may have finished just before the abort
+      signal?.throwIfAborted();
+      fill();
+      yield* entries;
+    }
+    return errors.sort((a, b) => a.pageNumber - b.pageNumber);
+  } finally {
+    await Promise.allSettled(pending);
+    await release();
   }
+}
 
-  const fmt = String(opts.format).toLowerCase();
-  if (!['png', 'jpg', 'jpeg'].includes(fmt)) {
-    throw new Error("Format must be 'png' or 'jpg'");
+/**
+ * Open a PDF once so it can be rendered and queried many times.
+ * Call close() when done to release the parsed document.
+ * @param {PDFInput} input - Path to the input PDF file, PDF bytes, or a readable stream
+ * @param {{ password?: string, signal?: AbortSignal, maxInputBytes?: number, maxMemoryBytes?: number, workers?: number }} [options={}] - password: for encrypted PDFs;
+ *   signal: cancels loading; maxInputBytes: largest PDF accepted; maxMemoryBytes: memory budget shared by the renders in progress (default 1 GiB);
+ *   workers: render on this many worker threads (default 0, the main thread)
+ * @returns {Promise<PDFDocument>} Reusable document handle
+ * @throws {InvalidOptionError} If maxInputBytes, maxMemoryBytes or workers is invalid
+ * @throws {LimitExceededError} If the PDF is larger than maxInputBytes
+ * @throws {InvalidPdfError} If the input is not a readable PDF
+ * @throws {PasswordRequiredError} If the PDF is encrypted and no password was given
+ * @throws {IncorrectPasswordError} If the password is wrong
+ */
+export async function openPdf(input, options = {}) {
+  const {
+    signal,
+    maxInputBytes,
+    maxMemoryBytes = DEFAULT_MAX_MEMORY_BYTES,
+    workers = 0,
+  } = options;
+  if (maxInputBytes !== undefined) {
+    checkPositiveInteger('maxInputBytes', maxInputBytes);
+  }
+  checkPositiveInteger('maxMemoryBytes', maxMemoryBytes);
+  checkNonNegativeInteger('workers', workers);
+  signal?.throwIfAborted();
+  // Resolve & load PDF
+  const { data, originalPath } = await readPdfInput(input, {
+    signal,
+    maxInputBytes,
+  });
+  // Workers get their copy of the bytes before PDF.js can detach them
+  const pool = workers > 0
+    ? createRenderPool(data, { size: workers, password: options.password })
+    : null;
+  const loadingTask = loadDocument(data, options.password);
+  const onAbort = () => loadingTask.destroy();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  let pdf;
+  try {
+    pdf = await loadingTask.promise;
+  } catch (err) {
+    await Promise.all([loadingTask.destroy(), pool?.destroy()]);
+    signal?.throwIfAborted();
+    throw toPasswordError(err) ??
+      new InvalidPdfError(err?.message ?? String(err), { cause: err });
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
   }
-  const bg = parseBackground(opts.bg, fmt);
 
-  // Convert DPI to PDF.js scale (1.0 == 96 DPI)
-  const scale = Number(opts.dpi) / 96;
+  const numPages = pdf.numPages || 0;
+  if (numPages <= 0) {
+    await Promise.all([pdf.destroy(), pool?.destroy()]);
+    throw new InvalidPdfError(
+      'Could not determine page count. Is the PDF valid?',
+    );
+  }
+
+  // Page labels ('i', 'ii', 'A-1', ...) when the document defines them
+  const pageLabels = await pdf.getPageLabels().catch(() => null);
+
+  let closed = false;
+  // Cancels the renders in progress when the document is closed
+  const closing = new AbortController();
+  const memory = memoryBudget(maxMemoryBytes);
 
-  const limit = pLimit(Number(opts.concurrency) || 4);
-  const jobs = [];
-  for (let pageNum = firstPage; pageNum <= lastPage; pageNum++) {
-    jobs.push(
-      limit(async () => {
-        const page = await pdf.getPage(pageNum);
+  const getPage = (pageNumber) => {
+    if (closed) {
+      throw new DocumentClosedError();
+    }
+    if (
+      !Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > numPages
+    ) {
+      throw new PageRangeError(
+        `Page ${pageNumber} is out of range (document has ${numPages} pages).`,
+      );
+    }
+    return pdf.getPage(pageNumber);
+  };
+
+  // Draw a page at the given scale, on a render worker when there are any
+  const draw = async (page, scale, signal) => {
+    const cancel = signal
+      ? AbortSignal.any([signal, closing.signal])
+      : closing.signal;
+    const canvas = pool
+      ? await pool.render(page.pageNumber, scale, cancel)
+      : await renderCanvas(pdf, page, scale, cancel);
+    return { ...canvas, viewport: page.getViewport({ scale }) };
+  };
 
-        const canvasFactory = pdf.canvasFactory;
-        const viewport = page.getViewport({ scale });
-        const canvasAndContext = canvasFactory.create(
-          viewport.width,
-          viewport.height,
+  // getPage() for rendering: a page pdf.js cannot load fails like a render
+  const loadPage = async (pageNumber) => {
+    const loading = getPage(pageNumber);
+    try {
+      return await loading;
+    } catch (err) {
+      if (closed) throw new DocumentClosedError();
+      throw new RenderError(pageNumber, { cause: err });
+    }
+  };
+
+  const doc = {
+    numPages,
+    pageLabels,
+    originalPath,
+
+    async renderPage(pageNumber, options = {}) {
+      const render = resolveOptions(options);
+      if (render.layout === 'tile') {
+        throw new InvalidOptionError(
+          'layout',
+          "renderPage() returns a single image; use renderTiles() for layout 'tile'.",
         );
-        const renderContext = {
-          canvasContext: canvasAndContext.context,
-          viewport,
+      }
+      const progress = pageProgress(render.onProgress, pageNumber);
+      progress('page-started');
+      const page = await loadPage(pageNumber).catch((err) => {
+        throw pageFailed(err, progress);
+      });
+      let signal = render.signal;
+      let release;
+      try {
+        const scale = pageScale(page, render);
+        // Wait for memory first; pageTimeoutMs counts from here
+        release = await memory.acquire(canvasBytes(page, scale), signal);
+        signal = pageSignal(render);
+        const canvas = await draw(page, scale, signal);
+        const { viewport } = canvas;
+        progress('page-rendered');
+        const crop = await contentBounds(canvas, render.trim);
+        const image = await encodeSquare(canvas, crop, render);
+        progress('page-encoded');
+        signal?.throwIfAborted();
+        const { items, styles } = await page.getTextContent();
+        const result = {
+          pageNumber,
+          pageLabel: pageLabels?.[pageNumber - 1] ?? null,
+          originalPath,
+          sourceRect: toPdfRect(viewport, crop),
+          placement: image.placement,
+          ...imageFields(image, render.output),
+          extractedText: reconstructText(items, render.textMode),
+          ...(render.textBoxes && {
+            textBoxes: toPixelBoxes(
+              fontsById(page, items, canvas),
+              textBoxes(items, styles, render.textBoxes),
+              viewport,
+              crop,
+              image,
+            ),
+          }),
         };
+        progress('page-done');
+        return result;
+      } catch (err) {
+        throw pageFailed(
+          pageError(pageNumber, err, render, signal, closed),
+          progress,
+        );
+      } finally {
+        release?.();
+        // Drop the page's cached operator lists, fonts and images
+        page.cleanup();
+      }
+    },
+
+    async renderTiles(pageNumber, options = {}) {
+      const render = resolveOptions(options);
+      const progress = pageProgress(render.onProgress, pageNumber);
+      progress('page-started');
+      const page = await loadPage(pageNumber).catch((err) => {
+        throw pageFailed(err, progress);
+      });
+      let signal = render.signal;
+      let release;
+      try {
+        const scale = pageScale(page, render);
+        // Wait for memory first; pageTimeoutMs counts from here
+        release = await memory.acquire(canvasBytes(page, scale), signal);
+        signal = pageSignal(render);
+        const canvas = await draw(page, scale, signal);
+        const { viewport } = canvas;
+        progress('page-rendered');
+        const bounds = await contentBounds(canvas, render.trim);
+        const crops = tileLayout(
+          bounds.width,
+          bounds.height,
+          render.tileOverlap,
+          render.maxTiles,
+        ).map((crop) => ({
+          ...crop,
+          left: crop.left + bounds.left,
+          top: crop.top + bounds.top,
+        }));
+        const { items, styles } = await page.getTextContent();
+        const boxes = render.textBoxes &&
+          textBoxes(items, styles, render.textBoxes);
+        const fonts = boxes && fontsById(page, items, canvas);
+        const tiles = [];
+        for (const [tileIndex, crop] of crops.entries()) {
+          signal?.throwIfAborted();
+          const image = await encodeSquare(canvas, crop, render);
+          progress('page-encoded', { tileIndex });
+          const sourceRect = toPdfRect(viewport, crop);
+          tiles.push({
+            pageNumber,
+            pageLabel: pageLabels?.[pageNumber - 1] ?? null,
+            originalPath,
+            tileIndex,
+            tileCount: crops.length,
+            sourceRect,
+            placement: image.placement,
+            ...imageFields(image, render.output),
+            extractedText: reconstructText(
+              items.filter((it) => isItemInRect(it, sourceRect)),
+              render.textMode,
+            ),
+            ...(boxes && {
+              textBoxes: toPixelBoxes(fonts, boxes, viewport, crop, image),
+            }),
+          });
+        }
+        progress('page-done');
+        return tiles;
+      } catch (err) {
+        throw pageFailed(
+          pageError(pageNumber, err, render, signal, closed),
+          progress,
+        );
+      } finally {
+        release?.();
+        page.cleanup();
+      }
+    },
+
+    async extractText(pageNumber, options = {}) {
+      const { textMode } = resolveOptions(options);
+      return pageText(await getPage(pageNumber), textMode);
+    },
+
+    async getMetadata() {
+      if (closed) {
+        throw new DocumentClosedError();
+      }
+      const { info, metadata } = await pdf.getMetadata();
+      return {
+        info: info ?? {},
+        metadata: metadata ? metadata.getAll() : null,
+      };
+    },
+
+    async close() {
+      if (closed) return;
+      closed = true;
+      closing.abort();
+      await Promise.all([pdf.destroy(), pool?.destroy()]);
+    },
+  };
+  documents.add(doc);
+  return doc;
+}
+
+/**
+ * Create a limiter that runs at most `concurrency` async functions at once,
+ * in call order. Pass it as the `limiter` option of several conversions to
+ * give them one concurrency budget between them.
+ * @param {number} concurrency - Max functions in progress at once
+ * @returns {Limiter} Schedules a function and resolves to its result
+ */
+export function createLimiter(concurrency) {
+  checkPositiveInteger('concurrency', concurrency);
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    fn()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+}
+
+/* ----------------- Helper Functions ----------------- */
 
-        const renderTask = page.render(renderContext);
-        await renderTask.promise;
-        // Convert the canvas to an image buffer.
-        const renderedPngBuffer = canvasAndContext.canvas.toBuffer('image/png');
-
-        // Letterbox to square NxN using sharp (preserve transparency if PNG + bg transparent)
-        const size = Number(opts.size);
-        let finalBuffer;
-        if (fmt === 'png') {
-          finalBuffer = await sharp(renderedPngBuffer)
-            .resize(size, size, { fit: 'contain', background: bg })
-            .png()
-            .toBuffer();
+// Map pdf.js password failures onto the library's error types
+function toPasswordError(err) {
+  if (err?.name !== 'PasswordException') return null;
+  return err.code === pdfjs.PasswordResponses.INCORRECT_PASSWORD
+    ? new IncorrectPasswordError()
+    : new PasswordRequiredError();
+}
+
+// One page renders to one entry, or to several in layout 'tile'
+function renderEntries(doc, pageNumber, opts) {
+  return opts.layout === 'tile'
+    ? doc.renderTiles(pageNumber, opts)
+    : doc.renderPage(pageNumber, opts).then((page) => [page]);
+}
+
+// renderEntries() with onPageError applied: unless it is 'throw', a page
+// that fails to render is recorded in errors and left out or replaced by a
+// placeholder. Once the signal fires, queued pages never start and every
+// page rejects with its reason.
+async function renderOrReport(doc, pageNumber, opts, errors) {
+  try {
+    opts.signal?.throwIfAborted();
+    return await renderEntries(doc, pageNumber, opts);
+  } catch (err) {
+    // Aborting closes the document under pages still in progress
+    opts.signal?.throwIfAborted();
+    if (opts.onPageError === 'throw' || !(err instanceof RenderError)) {
+      throw err;
+    }
+    const error = describePageError(err);
+    errors.push(error);
+    if (opts.onPageError === 'skip') return [];
+    return [await placeholderPage(doc, pageNumber, opts, error)];
+  }
+}
+
+// The document a conversion renders: an openPdf() handle as it is, left open
+// for its owner, or else the input opened with the conversion's options and
+// closed by release() (or by aborting the conversion)
+async function conversionDocument(input, opts) {
+  if (documents.has(input)) {
+    opts.signal?.throwIfAborted();
+    return { doc: input, release: async () => {} };
+  }
+  const { password, signal, maxInputBytes, maxMemoryBytes, workers } = opts;
+  const doc = await openPdf(input, {
+    password,
+    signal,
+    maxInputBytes,
+    maxMemoryBytes,
+    workers,
+  });
+  const onAbort = () => doc.close();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const release = async () => {
+    signal?.removeEventListener('abort', onAbort);
+    await doc.close();
+  };
+  return { doc, release };
+}
+
+// Report the document-loaded event of a conversion
+function documentLoaded(opts, doc, pageNumbers, started) {
+  opts.onProgress?.({
+    type: 'document-loaded',
+    elapsedMs: Math.round(performance.now() - started),
+    numPages: doc.numPages,
+    pageCount: pageNumbers.length,
+  });
+}
+
+// Emitter for the events of one page, timed from the page's start
+function pageProgress(onProgress, pageNumber) {
+  if (!onProgress) return () => {};
+  const started = performance.now();
+  return (type, fields) =>
+    onProgress({
+      type,
+      elapsedMs: Math.round(performance.now() - started),
+      pageNumber,
+      ...fields,
+    });
+}
+
+// A failed page is done too, unless the conversion was aborted
+function pageFailed(err, progress) {
+  if (err instanceof RenderError) {
+    progress('page-done', { error: describePageError(err) });
+  }
+  return err;
+}
+
+// The PageError entry for a RenderError
+function describePageError(err) {
+  return { pageNumber: err.pageNumber, code: err.code, message: err.message };
+}
+
+// Abort signal for one page: the caller's signal, or pageTimeoutMs after
+// the page starts, whichever fires first
+function pageSignal({ signal, pageTimeoutMs }) {
+  if (pageTimeoutMs === undefined) return signal;
+  const timeout = AbortSignal.timeout(pageTimeoutMs);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+// What a failed page rejects with: the caller's abort reason as it is, a
+// DocumentClosedError when the document was closed under it, or a
+// RenderError (with a TimeoutError cause when the page ran out of time)
+function pageError(pageNumber, err, render, signal, closed) {
+  if (render.signal?.aborted) return render.signal.reason;
+  if (closed) return new DocumentClosedError();
+  const cause = signal?.aborted
+    ? new DOMException(
+      `Timed out after ${render.pageTimeoutMs} ms`,
+      'TimeoutError',
+    )
+    : err;
+  return new RenderError(pageNumber, { cause });
+}
+
+// A blank square in the background color standing in for a failed page.
+// Nothing of the page is shown, so sourceRect and placement are empty.
+async function placeholderPage(doc, pageNumber, opts, error) {
+  const render = resolveOptions(opts);
+  const result = await sharp({
+    create: {
+      width: render.size,
+      height: render.size,
+      channels: 4,
+      background: render.bg,
+    },
+  })
+    .toFormat(render.fmt, render.encoder)
+    .toBuffer({ resolveWithObject: true });
+  const image = {
+    buffer: result.data,
+    mimeType: FORMATS[render.fmt].mimeType,
+    width: result.info.width,
+    height: result.info.height,
+  };
+  return {
+    pageNumber,
+    pageLabel: doc.pageLabels?.[pageNumber - 1] ?? null,
+    originalPath: doc.originalPath,
+    sourceRect: { x: 0, y: 0, width: 0, height: 0 },
+    placement: { x: 0, y: 0, width: 0, height: 0 },
+    ...imageFields(image, render.output),
+    extractedText: '',
+    ...(render.textBoxes && { textBoxes: [] }),
+    error,
+  };
+}
+
+// Page numbers (1-based, ascending) selected by pages or first/maxPages.
+// With onLimit 'throw', selecting more than maxPages pages is an error
+// rather than cut short (or, for pages, allowed).
+function selectPages(opts, totalPages) {
+  const limit = opts.onLimit === 'throw';
+  if (opts.pages != null) {
+    const selected = parsePageSelection(opts.pages, totalPages);
+    if (limit && selected.length > opts.maxPages) {
+      throw tooManyPages(selected.length, opts.maxPages);
+    }
+    return selected;
+  }
+  const firstPage = opts.first;
+  const lastPage = Math.min(totalPages, firstPage + opts.maxPages - 1);
+  if (lastPage < firstPage) {
+    throw new PageRangeError(
+      `No pages to convert with given first/maxPages options (document has ${totalPages} pages).`,
+    );
+  }
+  if (limit && lastPage < totalPages) {
+    throw tooManyPages(totalPages - firstPage + 1, opts.maxPages);
+  }
+  return range(firstPage, lastPage);
+}
+
+function tooManyPages(count, maxPages) {
+  return new LimitExceededError(
+    'maxPages',
+    `${count} pages selected, over maxPages (${maxPages}).`,
+  );
+}
+
+// pages: number[] (negative = from the end, -1 is the last page) or a
+// comma-separated spec of: N, -N, A-B, A-, 'first N', 'last N', 'odd',
+// 'even', 'all' / '*'
+function parsePageSelection(pages, totalPages) {
+  const selected = new Set();
+  const resolvePage = (n, token) => {
+    const pageNum = n < 0 ? totalPages + n + 1 : n;
+    if (
+      !Number.isInteger(n) || n === 0 || pageNum < 1 || pageNum > totalPages
+    ) {
+      throw new PageRangeError(
+        `Page ${token} is out of range (document has ${totalPages} pages).`,
+      );
+    }
+    return pageNum;
+  };
+
+  if (Array.isArray(pages)) {
+    for (const n of pages) selected.add(resolvePage(n, n));
+  } else {
+    const tokens = String(pages).toLowerCase().split(',');
+    for (const raw of tokens) {
+      const token = raw.trim();
+      let m;
+      if (token === 'all' || token === '*') {
+        range(1, totalPages).forEach((n) => selected.add(n));
+      } else if (token === 'odd' || token === 'even') {
+        for (let n = token === 'odd' ? 1 : 2; n <= totalPages; n += 2) {
+          selected.add(n);
+        }
+      } else if ((m = token.match(/^(first|last)\s+(\d+)$/))) {
+        const count = Math.min(Number(m[2]), totalPages);
+        if (m[1] === 'first') {
+          range(1, count).forEach((n) => selected.add(n));
         } else {
-          finalBuffer = await sharp(renderedPngBuffer)
-            .resize(size, size, { fit: 'contain', background: bg })
-            .jpeg({ quality: 95 })
-            .toBuffer();
+          range(totalPages - count + 1, totalPages).forEach((n) =>
+            selected.add(n)
+          );
         }
+      } else if (/^-?\d+$/.test(token)) {
+        selected.add(resolvePage(Number(token), token));
+      } else if ((m = token.match(/^(\d+)\s*-\s*(\d+)?$/))) {
+        const from = resolvePage(Number(m[1]), m[1]);
+        const to = m[2] === undefined
+          ? totalPages
+          : resolvePage(Number(m[2]), m[2]);
+        if (to < from) {
+          throw new PageRangeError(
+            `Invalid page range "${token}" (end before start).`,
+          );
+        }
+        range(from, to).forEach((n) => selected.add(n));
+      } else {
+        throw new InvalidOptionError(
+          'pages',
+          `Invalid page selection "${raw.trim()}". Use e.g. '1-3,7,10-', 'last 5', 'odd', 'even' or 'all'.`,
+        );
+      }
+    }
+  }
 
-        // Extract text via PDF.js
-        const tc = await page.getTextContent();
-        const extractedText = (tc.items || [])
-          .map((it) => ('str' in it ? it.str : ''))
-          .join('\n')
-          .trim();
-
-        const base64EncodedImage = `data:image/${
-          fmt === 'jpg' ? 'jpeg' : fmt
-        };base64,${finalBuffer.toString('base64')}`;
-
-        return {
-          pageNumber: pageNum,
-          originalPath: pdfAbs,
-          base64EncodedImage,
-          extractedText,
-        };
-      }),
+  if (selected.size === 0) {
+    throw new PageRangeError('No pages to convert with given pages option.');
+  }
+  return [...selected].sort((a, b) => a - b);
+}
+
+function range(from, to) {
+  const numbers = [];
+  for (let n = from; n <= to; n++) numbers.push(n);
+  return numbers;
+}
+
+// Check the options only convert() and convertIter() use, then the render
+// options, so every option is validated before the PDF is read
+function validateConvertOptions(opts) {
+  checkPositiveInteger('first', opts.first);
+  checkPositiveInteger('maxPages', opts.maxPages);
+  checkPositiveInteger('concurrency', opts.concurrency);
+  checkPositiveInteger('maxMemoryBytes', opts.maxMemoryBytes);
+  checkNonNegativeInteger('workers', opts.workers);
+  if (opts.limiter !== undefined && typeof opts.limiter !== 'function') {
+    throw invalidOption('limiter', 'must be a function', opts.limiter);
+  }
+  if (opts.maxInputBytes !== undefined) {
+    checkPositiveInteger('maxInputBytes', opts.maxInputBytes);
+  }
+  if (
+    opts.pages != null && typeof opts.pages !== 'string' &&
+    !Array.isArray(opts.pages)
+  ) {
+    throw invalidOption(
+      'pages',
+      'must be a page spec string or an array of page numbers',
+      opts.pages,
+    );
+  }
+  if (opts.password !== undefined && typeof opts.password !== 'string') {
+    throw invalidOption('password', 'must be a string', opts.password);
+  }
+  if (!PAGE_ERROR_MODES.includes(opts.onPageError)) {
+    throw invalidOption(
+      'onPageError',
+      "must be 'throw', 'skip' or 'placeholder'",
+      opts.onPageError,
     );
   }
+  resolvedOptions.set(opts, resolveRenderOptions(opts));
+}
 
-  const results = await Promise.all(jobs);
-  results.sort((a, b) => a.pageNumber - b.pageNumber);
-  return results;
+// The options over their defaults; an option given as undefined is not set
+// and keeps its default
+function withDefaults(defaults, options) {
+  const opts = { ...defaults };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) opts[key] = value;
+  }
+  return opts;
 }
 
-/* ----------------- Helper Functions ----------------- */
+// resolveRenderOptions(), parsed once for the options of a conversion
+function resolveOptions(options) {
+  return resolvedOptions.get(options) ?? resolveRenderOptions(options);
+}
+
+function resolveRenderOptions(options) {
+  const opts = withDefaults(RENDER_DEFAULTS, options);
+  checkPositiveInteger('size', opts.size);
+  if (
+    opts.dpi !== 'auto' &&
+    (typeof opts.dpi !== 'number' || !(opts.dpi > 0 && opts.dpi < Infinity))
+  ) {
+    throw invalidOption('dpi', "must be a positive number or 'auto'", opts.dpi);
+  }
+  if (
+    typeof opts.oversample !== 'number' ||
+    !(opts.oversample > 0 && opts.oversample < Infinity)
+  ) {
+    throw invalidOption(
+      'oversample',
+      'must be a positive number',
+      opts.oversample,
+    );
+  }
+  checkPositiveInteger('maxCanvasPixels', opts.maxCanvasPixels);
+  if (!['clamp', 'throw'].includes(opts.onLimit)) {
+    throw invalidOption('onLimit', "must be 'clamp' or 'throw'", opts.onLimit);
+  }
+  const requested = String(opts.format).toLowerCase();
+  const fmt = FORMAT_ALIASES[requested] ?? requested;
+  if (!Object.hasOwn(FORMATS, fmt)) {
+    throw invalidOption(
+      'format',
+      "must be 'png', 'jpg', 'webp', 'avif' or 'tiff'",
+      opts.format,
+    );
+  }
+  const output = String(opts.output);
+  if (!OUTPUT_MODES.includes(output)) {
+    throw invalidOption(
+      'output',
+      "must be 'dataUri', 'base64' or 'buffer'",
+      opts.output,
+    );
+  }
+  if (!['letterbox', 'tile'].includes(opts.layout)) {
+    throw invalidOption('layout', "must be 'letterbox' or 'tile'", opts.layout);
+  }
+  const tileOverlap = Number(opts.tileOverlap);
+  if (!(tileOverlap >= 0 && tileOverlap < 1)) {
+    throw invalidOption(
+      'tileOverlap',
+      'must be a fraction from 0 to below 1',
+      opts.tileOverlap,
+    );
+  }
+  checkPositiveInteger('maxTiles', opts.maxTiles);
+  if (!['contain', 'cover'].includes(opts.fit)) {
+    throw invalidOption('fit', "must be 'contain' or 'cover'", opts.fit);
+  }
+  const position = String(opts.position).toLowerCase();
+  if (!Object.hasOwn(POSITIONS, position)) {
+    throw invalidOption(
+      'position',
+      `must be one of: ${Object.keys(POSITIONS).join(', ')}`,
+      opts.position,
+    );
+  }
+  if (!TEXT_MODES.includes(opts.textMode)) {
+    throw invalidOption(
+      'textMode',
+      "must be 'raw', 'lines' or 'layout'",
+      opts.textMode,
+    );
+  }
+  if (![false, true, 'words', 'lines'].includes(opts.textBoxes)) {
+    throw invalidOption(
+      'textBoxes',
+      "must be true, false, 'words' or 'lines'",
+      opts.textBoxes,
+    );
+  }
+  if (
+    opts.onProgress !== undefined && typeof opts.onProgress !== 'function'
+  ) {
+    throw invalidOption('onProgress', 'must be a function', opts.onProgress);
+  }
+  if (opts.signal !== undefined && !(opts.signal instanceof AbortSignal)) {
+    throw invalidOption('signal', 'must be an AbortSignal', opts.signal);
+  }
+  if (
+    opts.pageTimeoutMs !== undefined &&
+    !(typeof opts.pageTimeoutMs === 'number' && opts.pageTimeoutMs > 0 &&
+      opts.pageTimeoutMs < Infinity)
+  ) {
+    throw invalidOption(
+      'pageTimeoutMs',
+      'must be a positive number',
+      opts.pageTimeoutMs,
+    );
+  }
+  return {
+    size: opts.size,
+    dpi: opts.dpi,
+    oversample: opts.oversample,
+    maxCanvasPixels: opts.maxCanvasPixels,
+    onLimit: opts.onLimit,
+    fmt,
+    bg: parseBackground(opts.bg, fmt),
+    encoder: encoderOptions(fmt, opts.encoder ?? {}),
+    output,
+    layout: opts.layout,
+    tileOverlap,
+    maxTiles: opts.maxTiles,
+    fit: opts.fit,
+    trim: Boolean(opts.trim),
+    position,
+    textMode: opts.textMode,
+    textBoxes: opts.textBoxes === true ? 'words' : opts.textBoxes,
+    onProgress: opts.onProgress,
+    signal: opts.signal,
+    pageTimeoutMs: opts.pageTimeoutMs,
+  };
+}
+
+// Map the format-independent encoder options onto sharp's per-format options.
+// Options that do not apply to the chosen format are ignored.
+function encoderOptions(fmt, encoder) {
+  const {
+    quality,
+    lossless,
+    effort,
+    compressionLevel,
+    palette,
+    progressive,
+    mozjpeg,
+    chromaSubsampling,
+  } = encoder;
+  checkInteger('quality', quality, 1, 100);
+  checkInteger('compressionLevel', compressionLevel, 0, 9);
+  if (effort !== undefined && FORMATS[fmt].effort) {
+    checkInteger('effort', effort, ...FORMATS[fmt].effort);
+  }
+  if (
+    chromaSubsampling !== undefined &&
+    !['4:2:0', '4:4:4'].includes(chromaSubsampling)
+  ) {
+    throw invalidOption(
+      'encoder.chromaSubsampling',
+      "must be '4:2:0' or '4:4:4'",
+      chromaSubsampling,
+    );
+  }
+
+  let sharpOptions;
+  switch (fmt) {
+    case 'png':
+      // sharp treats quality/effort as implying palette, so gate them on it
+      sharpOptions = palette
+        ? { compressionLevel, palette, quality, effort }
+        : { compressionLevel, palette };
+      break;
+    case 'jpeg':
+      sharpOptions = {
+        quality: quality ?? 95,
+        progressive,
+        mozjpeg,
+        chromaSubsampling,
+      };
+      break;
+    case 'webp':
+      sharpOptions = { quality, lossless, effort };
+      break;
+    case 'avif':
+      sharpOptions = { quality, lossless, effort, chromaSubsampling };
+      break;
+    case 'tiff':
+      // Lossless LZW by default; lossless: false switches to JPEG compression
+      sharpOptions = {
+        quality,
+        compression: lossless === false ? 'jpeg' : 'lzw',
+      };
+      break;
+  }
+  // Leave sharp's own defaults in place for anything not specified
+  return Object.fromEntries(
+    Object.entries(sharpOptions).filter(([, v]) => v !== undefined),
+  );
+}
+
+function checkInteger(name, value, min, max) {
+  if (
+    value !== undefined &&
+    (!Number.isInteger(value) || value < min || value > max)
+  ) {
+    throw invalidOption(
+      `encoder.${name}`,
+      `must be an integer between ${min} and ${max}`,
+      value,
+    );
+  }
+}
+
+function checkPositiveInteger(name, value) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw invalidOption(name, 'must be a positive integer', value);
+  }
+}
+
+function checkNonNegativeInteger(name, value) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw invalidOption(name, 'must be a non-negative integer', value);
+  }
+}
+
+// "<option> <requirement> (got <value>)"
+function invalidOption(option, requirement, value) {
+  const got = typeof value === 'string' ? `"${value}"` : String(value);
+  return new InvalidOptionError(
+    option,
+    `${option} ${requirement} (got ${got})`,
+  );
+}
+
+// Image fields of a ConvertedPDFPage for the requested output mode
+function imageFields({ buffer, mimeType, width, height }, output) {
+  let encoded;
+  if (output === 'buffer') {
+    encoded = { image: buffer };
+  } else {
+    const base64 = buffer.toString('base64');
+    encoded = {
+      base64EncodedImage: output === 'base64'
+        ? base64
+        : `data:${mimeType};base64,${base64}`,
+    };
+  }
+  return { ...encoded, mimeType, width, height, byteLength: buffer.length };
+}
+
+// PDF.js scale to render a page at: dpi/96, or for dpi 'auto' whatever
+// gives the side that fills the square (the long side for contain, the short
+// side for cover and tiles) `oversample` pixels per output pixel. Either way
+// the canvas is kept within maxCanvasPixels, or with onLimit 'throw' a page
+// that needs more fails before anything is drawn.
+function pageScale(page, render) {
+  const { width, height } = page.getViewport({ scale: 1 });
+  let scale;
+  if (render.dpi === 'auto') {
+    const side = render.fit === 'cover' || render.layout === 'tile'
+      ? Math.min(width, height)
+      : Math.max(width, height);
+    scale = (render.oversample * render.size) / side;
+  } else {
+    // Convert DPI to PDF.js scale (1.0 == 96 DPI)
+    scale = render.dpi / 96;
+  }
+  const pixels = width * height * scale * scale;
+  if (pixels > render.maxCanvasPixels) {
+    if (render.onLimit === 'throw') {
+      throw new LimitExceededError(
+        'maxCanvasPixels',
+        `Page needs a ${
+          Math.round(pixels)
+        }-pixel canvas, over maxCanvasPixels (${render.maxCanvasPixels}).`,
+      );
+    }
+    scale *= Math.sqrt(render.maxCanvasPixels / pixels);
+  }
+  return scale;
+}
+
+// Estimated memory held while a page renders at the given scale
+function canvasBytes(page, scale) {
+  const { width, height } = page.getViewport({ scale });
+  return Math.ceil(width) * Math.ceil(height) * BYTES_PER_PIXEL;
+}
+
+// Area of the render to use: the whole page, or with trim the bounding box of
+// everything that differs from the top-left (margin) pixel
+async function contentBounds(canvas, trim) {
+  if (!trim) {
+    return { left: 0, top: 0, width: canvas.width, height: canvas.height };
+  }
+  const { info } = await canvasImage(canvas)
+    .trim({ threshold: TRIM_THRESHOLD })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return {
+    left: -info.trimOffsetLeft,
+    top: -info.trimOffsetTop,
+    width: info.width,
+    height: info.height,
+  };
+}
+
+// Fit a cropped region of a rendered page into an NxN image. 'contain'
+// letterboxes it; 'cover' scales it to fill and crops the overflow. The
+// position picks which side the letterbox space or the crop goes to.
+// placement is where the crop landed in output pixels (may overflow for cover).
+async function encodeSquare(canvas, crop, render) {
+  const { size, fmt, bg, encoder, fit, position } = render;
+  const scale = fit === 'cover'
+    ? Math.max(size / crop.width, size / crop.height)
+    : Math.min(size / crop.width, size / crop.height);
+  const width = Math.max(1, Math.round(crop.width * scale));
+  const height = Math.max(1, Math.round(crop.height * scale));
+  const [fx, fy] = POSITIONS[position];
+  // || 0 turns -0 into 0
+  const x = Math.round((size - width) * fx) || 0;
+  const y = Math.round((size - height) * fy) || 0;
+
+  let pipeline = canvasImage(canvas).extract(crop).resize(width, height);
+  if (fit === 'cover') {
+    pipeline = pipeline.extract({
+      left: -x,
+      top: -y,
+      width: size,
+      height: size,
+    });
+  } else {
+    // Transparency survives if the format has alpha
+    pipeline = pipeline.extend({
+      left: x,
+      top: y,
+      right: size - width - x,
+      bottom: size - height - y,
+      background: bg,
+    });
+  }
+  const result = await pipeline
+    .toFormat(fmt, encoder)
+    .toBuffer({ resolveWithObject: true });
+  return {
+    buffer: result.data,
+    mimeType: FORMATS[fmt].mimeType,
+    width: result.info.width,
+    height: result.info.height,
+    placement: { x, y, width, height },
+  };
+}
+
+// sharp pipeline over the RGBA pixels of a rendered page
+function canvasImage({ data, width, height }) {
+  return sharp(data, { raw: { width, height, channels: 4 } });
+}
+
+// Split a width x height render into square tiles along its long axis.
+// Tiles are spread evenly so neighbours overlap by at least `overlap` of a
+// tile; past maxTiles the tiles grow (and letterbox across the short axis).
+// Returns the on-canvas crop rectangle of each tile.
+function tileLayout(width, height, overlap, maxTiles) {
+  const long = Math.max(width, height);
+  const short = Math.min(width, height);
+  let count = Math.max(
+    1,
+    Math.ceil((long - short * overlap) / (short * (1 - overlap)) - 1e-9),
+  );
+  let side = short;
+  if (count > maxTiles) {
+    count = maxTiles;
+    side = long / (count - (count - 1) * overlap);
+  }
+  if (count === 1) {
+    side = long;
+  }
+  const step = count > 1 ? (long - side) / (count - 1) : 0;
+
+  const crops = [];
+  for (let i = 0; i < count; i++) {
+    const along = Math.round(i * step);
+    const alongEnd = Math.min(long, Math.round(i * step + side));
+    const across = Math.max(0, Math.round((short - side) / 2));
+    const acrossEnd = Math.min(short, Math.round((short + side) / 2));
+    crops.push(
+      width >= height
+        ? {
+          left: along,
+          top: across,
+          width: alongEnd - along,
+          height: acrossEnd - across,
+        }
+        : {
+          left: across,
+          top: along,
+          width: acrossEnd - across,
+          height: alongEnd - along,
+        },
+    );
+  }
+  return crops;
+}
+
+// Map a canvas-pixel rectangle back to PDF user space ({x, y} = lower-left)
+function toPdfRect(viewport, { left, top, width, height }) {
+  const [x1, y1] = viewport.convertToPdfPoint(left, top);
+  const [x2, y2] = viewport.convertToPdfPoint(left + width, top + height);
+  // + 0 turns -0 into 0
+  return {
+    x: Math.min(x1, x2) + 0,
+    y: Math.min(y1, y2) + 0,
+    width: Math.abs(x2 - x1),
+    height: Math.abs(y2 - y1),
+  };
+}
+
+// Font name per PDF.js font ID of a page's text items: as the render worker
+// that drew the page reported them, or from the page drawn here
+function fontsById(page, items, canvas) {
+  const names = canvas.fonts ?? fontNames(page, items);
+  return new Map(fontIds(items).map((id, i) => [id, names[i]]));
+}
+
+// Map text boxes from PDF user space through the render viewport, the crop
+// and the placement into output pixels. Boxes whose center falls outside
+// the image (cropped by fit 'cover', or in another tile) are dropped; the
+// rest are clamped to the image.
+function toPixelBoxes(fonts, boxes, viewport, crop, image) {
+  const { placement, width, height } = image;
+  const sx = placement.width / crop.width;
+  const sy = placement.height / crop.height;
+
+  const result = [];
+  for (const box of boxes) {
+    const xs = [];
+    const ys = [];
+    for (const [px, py] of box.points) {
+      const [vx, vy] = viewport.convertToViewportPoint(px, py);
+      xs.push(placement.x + (vx - crop.left) * sx);
+      ys.push(placement.y + (vy - crop.top) * sy);
+    }
+    const [x0, x1, y0, y1] = [
+      Math.min(...xs),
+      Math.max(...xs),
+      Math.min(...ys),
+      Math.max(...ys),
+    ];
+    const cx = (x0 + x1) / 2;
+    const cy = (y0 + y1) / 2;
+    if (cx < 0 || cx > width || cy < 0 || cy > height) continue;
+
+    const x = Math.max(0, Math.floor(x0));
+    const y = Math.max(0, Math.floor(y0));
+    result.push({
+      text: box.text,
+      x,
+      y,
+      width: Math.min(width, Math.ceil(x1)) - x,
+      height: Math.min(height, Math.ceil(y1)) - y,
+      line: box.line,
+      block: box.block,
+      fontName: fonts.get(box.fontName) ?? box.fontName,
+      fontSize: Math.round(box.fontSize * 100) / 100,
+    });
+  }
+  return result;
+}
+
+// Whether a text item's center lies inside a PDF user-space rectangle
+function isItemInRect(item, rect) {
+  if (!('str' in item)) return false;
+  const cx = item.transform[4] + item.width / 2;
+  const cy = item.transform[5] + item.height / 2;
+  return cx >= rect.x && cx <= rect.x + rect.width &&
+    cy >= rect.y && cy <= rect.y + rect.height;
+}
+
+// Extract text via PDF.js
+async function pageText(page, textMode) {
+  const tc = await page.getTextContent();
+  return reconstructText(tc.items || [], textMode);
+}
+
+// Normalize any supported input into a private Uint8Array copy for PDF.js
+// (which may detach the buffer it is given) plus the resolved source path.
+// Inputs over maxInputBytes are refused before they are copied; files are
+// checked before they are read and streams as soon as they grow too long.
+async function readPdfInput(input, { signal, maxInputBytes = Infinity }) {
+  const checkSize = (bytes) => {
+    if (bytes > maxInputBytes) {
+      throw new LimitExceededError(
+        'maxInputBytes',
+        `PDF is over maxInputBytes (${maxInputBytes} bytes).`,
+      );
+    }
+  };
+  if (typeof input === 'string') {
+    const originalPath = path.resolve(input);
+    if (maxInputBytes !== Infinity) {
+      checkSize((await fs.stat(originalPath)).size);
+    }
+    const data = await fs.readFile(originalPath, { signal });
+    checkSize(data.length);
+    return { data: new Uint8Array(data), originalPath };
+  }
+  if (input instanceof ArrayBuffer) {
+    checkSize(input.byteLength);
+    return { data: new Uint8Array(input.slice(0)), originalPath: null };
+  }
+  if (ArrayBuffer.isView(input)) {
+    checkSize(input.byteLength);
+    const view = new Uint8Array(
+      input.buffer,
+      input.byteOffset,
+      input.byteLength,
+    );
+    return { data: new Uint8Array(view), originalPath: null };
+  }
+  // Node Readable and web ReadableStream are both async iterable
+  if (input && typeof input[Symbol.asyncIterator] === 'function') {
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of input) {
+      signal?.throwIfAborted();
+      chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+      length += chunks[chunks.length - 1].byteLength;
+      checkSize(length);
+    }
+    return { data: new Uint8Array(Buffer.concat(chunks)), originalPath: null };
+  }
+  throw new InvalidOptionError(
+    'input',
+    'Input must be a file path, Buffer, Uint8Array, ArrayBuffer or readable stream.',
+  );
+}
 
 // bg: "#RRGGBB" | "#RRGGBBAA" | "transparent"
 function parseBackground(input, fmt) {
   const s = String(input).trim().toLowerCase();
   if (s === 'transparent' || s === '#0000') {
-    if (fmt === 'png') {
+    if (FORMATS[fmt].alpha) {
       return { r: 0, g: 0, b: 0, alpha: 0 };
     } else {
       console.warn(
-        '⚠️ JPEG cannot be transparent; using white background instead.',
+        `⚠️ ${fmt.toUpperCase()} cannot be transparent; using white background instead.`,
       );
       return { r: 255, g: 255, b: 255, alpha: 1 };
     }
   }
   const hex = s.startsWith('#') ? s.slice(1) : s;
   if (![6, 8].includes(hex.length) || !/^[0-9a-f]+$/i.test(hex)) {
-    throw new Error(
-      "Invalid background color. Use '#RRGGBB', '#RRGGBBAA', or 'transparent'.",
+    throw new InvalidOptionError(
+      'bg',
+      `Invalid background color "${input}". Use '#RRGGBB', '#RRGGBBAA', or 'transparent'.`,
     );
   }
   const r = parseInt(hex.slice(0, 2), 16);
   const g = parseInt(hex.slice(2, 4), 16);
   const b = parseInt(hex.slice(4, 6), 16);
-  const a = hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1;
+  const a = hex.length === 8 && FORMATS[fmt].alpha
+    ? parseInt(hex.slice(6, 8), 16) / 255
+    : 1;
   return { r, g, b, alpha: a };
 }
 
-// Minimal concurrency limiter
-function pLimit(n) {
-  let active = 0;
+// Byte budget shared by the renders of one document. acquire(bytes) waits
+// until the bytes fit beside the renders in progress, in request order, and
+// resolves to a release function; a render bigger than the whole budget
+// runs once nothing else does. The signal gives up waiting.
+function memoryBudget(limit) {
+  let used = 0;
   const queue = [];
   const next = () => {
-    if (active >= n || queue.length === 0) return;
-    active++;
-    const { fn, resolve, reject } = queue.shift();
-    fn()
-      .then(resolve, reject)
-      .finally(() => {
-        active--;
+    while (queue.length > 0) {
+      const waiter = queue[0];
+      if (used > 0 && used + waiter.bytes > limit) return;
+      queue.shift();
+      waiter.signal?.removeEventListener('abort', waiter.onAbort);
+      used += waiter.bytes;
+      let released = false;
+      waiter.resolve(() => {
+        if (released) return;
+        released = true;
+        used -= waiter.bytes;
+        next();
+      });
+    }
+  };
+  return {
+    acquire(bytes, signal) {
+      return new Promise((resolve, reject) => {
+        signal?.throwIfAborted();
+        const waiter = { bytes, signal, resolve };
+        waiter.onAbort = () => {
+          queue.splice(queue.indexOf(waiter), 1);
+          reject(signal.reason);
+          next();
+        };
+        signal?.addEventListener('abort', waiter.onAbort, { once: true });
+        queue.push(waiter);
         next();
       });
+    },
   };
-  return (fn) =>
-    new Promise((resolve, reject) => {
-      queue.push({ fn, resolve, reject });
-      next();
-    });
 }
@@ -0,0 +1,147 @@
+/**
+ * pdf2square render pool - draws pages on worker threads so rendering uses
+ * more than one CPU core
+ *
+ * Every worker parses its own copy of the document. Pages are handed to the
+ * next idle worker in request order and come back as raw RGBA pixels, which
+ * the main thread encodes with sharp as usual.
+ */
+
+import { Worker } from 'node:worker_threads';
+import { DocumentClosedError, WorkerExitedError } from './errors.js';
+
+const WORKER_URL = new URL('./render-worker.js', import.meta.url);
+
+/**
+ * Start `size` render workers for one document.
+ * @param {Uint8Array} data - PDF bytes (copied to every worker)
+ * @param {{ size: number, password?: string }} options - Number of workers, and the document password
+ * @returns {{ render: (pageNumber: number, scale: number, signal?: AbortSignal) => Promise<{data: Uint8Array, width: number, height: number, fonts: string[]}>, destroy: () => Promise<void> }} render() also returns the page's font names (see fontNames())
+ */
+export function createRenderPool(data, { size, password }) {
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  // Task each busy worker is running
+  const running = new Map();
+  let nextId = 0;
+  let destroyed = false;
+
+  const spawn = () => {
+    const worker = new Worker(WORKER_URL, { workerData: { data, password } });
+    let failure;
+    // Only workers with a task keep the process alive
+    worker.unref();
+    worker.on('message', (message) => {
+      const task = running.get(worker);
+      if (message.id !== task?.id) return; // a cancelled task finishing
+      finish(worker, task);
+      if (message.error) {
+        task.reject(message.error);
+      } else {
+        task.resolve(message);
+      }
+    });
+    worker.on('error', (err) => {
+      failure = err;
+    });
+    // A worker that dies on a page (e.g. out of memory) fails that page and
+    // is replaced, so the other pages still render
+    worker.on('exit', () => {
+      workers.delete(worker);
+      if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+      const task = running.get(worker);
+      running.delete(worker);
+      if (destroyed) return;
+      if (task) {
+        task.signal?.removeEventListener('abort', task.onAbort);
+        task.reject(new WorkerExitedError({ cause: failure }));
+        spawn();
+      } else if (workers.size === 0) {
+        for (const queued of queue.splice(0)) {
+          queued.signal?.removeEventListener('abort', queued.onAbort);
+          queued.reject(new WorkerExitedError({ cause: failure }));
+        }
+      }
+    });
+    workers.add(worker);
+    idle.push(worker);
+    next();
+  };
+
+  const next = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.shift();
+      const task = queue.shift();
+      running.set(worker, task);
+      worker.ref();
+      worker.postMessage({
+        id: task.id,
+        pageNumber: task.pageNumber,
+        scale: task.scale,
+      });
+    }
+  };
+
+  const finish = (worker, task) => {
+    task.signal?.removeEventListener('abort', task.onAbort);
+    running.delete(worker);
+    worker.unref();
+    idle.push(worker);
+    next();
+  };
+
+  for (let i = 0; i < size; i++) spawn();
+
+  return {
+    render(pageNumber, scale, signal) {
+      return new Promise((resolve, reject) => {
+        if (destroyed) {
+          throw new DocumentClosedError();
+        }
+        if (workers.size === 0) {
+          throw new WorkerExitedError();
+        }
+        signal?.throwIfAborted();
+        const task = {
+          id: nextId++,
+          pageNumber,
+          scale,
+          signal,
+          resolve,
+          reject,
+        };
+        // Queued pages leave the queue; running ones are cancelled in the
+        // worker, which then reports the cancellation
+        task.onAbort = () => {
+          if (queue.includes(task)) {
+            queue.splice(queue.indexOf(task), 1);
+            reject(signal.reason);
+            return;
+          }
+          for (const [worker, current] of running) {
+            if (current === task) {
+              worker.postMessage({ id: task.id, cancel: true });
+            }
+          }
+        };
+        signal?.addEventListener('abort', task.onAbort, { once: true });
+        queue.push(task);
+        next();
+      });
+    },
+
+    async destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      const closed = new DocumentClosedError();
+      for (const task of [...queue, ...running.values()]) {
+        task.signal?.removeEventListener('abort', task.onAbort);
+        task.reject(closed);
+      }
+      queue.length = 0;
+      running.clear();
+      await Promise.all([...workers].map((worker) => worker.terminate()));
+    },
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * pdf2square render worker - opens its own copy of the document and draws
+ * the pages the pool sends it, one at a time, transferring the RGBA pixels
+ * back to the main thread
+ *
+ * Messages in: { id, pageNumber, scale } to render, { id, cancel: true } to
+ * cancel. Messages out: { id, data, width, height, fonts } or { id, error };
+ * fonts are the names of the page's fonts (see fontNames()), which only the
+ * thread that drew the page knows.
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { fontNames, loadDocument, renderCanvas } from './render.js';
+
+const loading = loadDocument(workerData.data, workerData.password).promise;
+// Render in progress per task id
+const running = new Map();
+
+parentPort.on('message', async ({ id, pageNumber, scale, cancel }) => {
+  if (cancel) {
+    running.get(id)?.abort();
+    return;
+  }
+  const controller = new AbortController();
+  running.set(id, controller);
+  try {
+    const pdf = await loading;
+    const page = await pdf.getPage(pageNumber);
+    try {
+      const { data, width, height } = await renderCanvas(
+        pdf,
+        page,
+        scale,
+        controller.signal,
+      );
+      const { items } = await page.getTextContent();
+      const fonts = fontNames(page, items);
+      // Canvas pixels live outside the JS heap and cannot be transferred;
+      // one copy that can is cheaper than the two a plain postMessage makes
+      const pixels = new Uint8Array(data);
+      parentPort.postMessage({ id, data: pixels, width, height, fonts }, [
+        pixels.buffer,
+      ]);
+    } finally {
+      page.cleanup();
+    }
+  } catch (error) {
+    parentPort.postMessage({ id, error });
+  } finally {
+    running.delete(id);
+  }
+});
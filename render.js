@@ -0,0 +1,104 @@
+/**
+ * pdf2square rendering - loads documents with PDF.js and draws pages to a
+ * canvas, for the main thread and the render workers alike
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+// PDF.js (legacy build recommended for Node)
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+// Use bundled standard fonts to eliminate warnings
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const standardFontsPath = path.join(__dirname, 'standard_fonts');
+
+/**
+ * Start loading a PDF with Node-friendly PDF.js settings.
+ * @param {Uint8Array} data - PDF bytes (PDF.js may detach the buffer)
+ * @param {string} [password] - Password for encrypted PDFs
+ * @returns {import('pdfjs-dist').PDFDocumentLoadingTask} PDF.js loading task
+ */
+export function loadDocument(data, password) {
+  return pdfjs.getDocument({
+    data,
+    // Node-friendly flags
+    useWorkerFetch: false,
+    disableWorker: true,
+    isEvalSupported: false,
+    useSystemFonts: true,
+    // Try absolute path without file:// prefix
+    standardFontDataUrl: `${standardFontsPath}/`,
+    password,
+  });
+}
+
+/**
+ * Render a page's full viewport at the given PDF.js scale. The signal
+ * cancels the render task. The pixels are handed over raw, as sharp reads
+ * them without the lossless PNG encode and decode that would otherwise cost
+ * more than drawing the page.
+ * @param {import('pdfjs-dist').PDFDocumentProxy} pdf - Document the page belongs to
+ * @param {import('pdfjs-dist').PDFPageProxy} page - Page to draw
+ * @param {number} scale - PDF.js scale (1.0 == 96 DPI)
+ * @param {AbortSignal} [signal] - Cancels rendering
+ * @returns {Promise<{data: Uint8ClampedArray, width: number, height: number}>} Unpremultiplied RGBA pixels with the canvas size
+ */
+export async function renderCanvas(pdf, page, scale, signal) {
+  signal?.throwIfAborted();
+  const canvasFactory = pdf.canvasFactory;
+  const viewport = page.getViewport({ scale });
+  const canvasAndContext = canvasFactory.create(
+    viewport.width,
+    viewport.height,
+  );
+  const renderContext = {
+    canvasContext: canvasAndContext.context,
+    viewport,
+  };
+
+  let renderTask;
+  const cancel = () => renderTask?.cancel();
+  signal?.addEventListener('abort', cancel, { once: true });
+  try {
+    renderTask = page.render(renderContext);
+    await renderTask.promise;
+    const { width, height } = canvasAndContext.canvas;
+    const { data } = canvasAndContext.context.getImageData(
+      0,
+      0,
+      width,
+      height,
+    );
+    return { data, width, height };
+  } finally {
+    signal?.removeEventListener('abort', cancel);
+    // Free the (potentially huge) backing canvas right away
+    canvasFactory.destroy(canvasAndContext);
+  }
+}
+
+/**
+ * Names of the fonts a page's text is set in, in the order its text items
+ * first use them. PDF.js only learns a font's real name (e.g.
+ * 'Helvetica-Bold') when it draws the page; fonts it has not drawn keep their
+ * internal ID. The IDs differ between copies of a document, so a render
+ * worker sends the names back in this order instead.
+ * @param {import('pdfjs-dist').PDFPageProxy} page - Page that has been drawn
+ * @param {Array<Object>} items - The page's TextContent items
+ * @returns {string[]} One name per font of fontIds(items)
+ */
+export function fontNames(page, items) {
+  return fontIds(items).map((id) =>
+    (page.commonObjs.has(id) ? page.commonObjs.get(id)?.name : null) ?? id
+  );
+}
+
+/**
+ * PDF.js font IDs of text items, each once, in order of first use.
+ * @param {Array<Object>} items - TextContent items
+ * @returns {string[]} Font IDs
+ */
+export function fontIds(items) {
+  const ids = items.filter((item) => 'str' in item).map((i) => i.fontName);
+  return [...new Set(ids)];
+}
@@ -0,0 +1,291 @@
+/**
+ * pdf2square text serialization - writes a converted page's text as plain
+ * text, JSON, hOCR, ALTO XML or Markdown
+ *
+ * Every format except 'txt' is built from the page's textBoxes, so its
+ * coordinates are pixels of the generated image and the image/text file pair
+ * can be loaded together by hOCR/ALTO viewers.
+ */
+
+import { InvalidOptionError } from './errors.js';
+
+/** Formats accepted by formatText() */
+export const TEXT_FORMATS = ['txt', 'json', 'hocr', 'alto', 'markdown'];
+
+// Font size relative to the page's body text that marks a heading block;
+// single bold lines count as headings too
+const H1_RATIO = 1.5;
+const H2_RATIO = 1.15;
+const MAX_HEADING_LINES = 3;
+const BULLET = /^[•◦▪‣●○■□–\-*]\s*/;
+
+/**
+ * Serialize the text of a converted page.
+ * @param {import('./lib.js').ConvertedPDFPage} page - Converted page; every format but 'txt' needs textBoxes
+ * @param {'txt' | 'json' | 'hocr' | 'alto' | 'markdown'} [format='txt'] - Output format
+ * @param {{ imageName?: string }} [options={}] - imageName: file name of the page image, referenced from json/hOCR/ALTO
+ * @returns {string} Serialized text
+ * @throws {InvalidOptionError} If the format is unknown, or needs textBoxes the page does not have
+ */
+export function formatText(page, format = 'txt', options = {}) {
+  if (!TEXT_FORMATS.includes(format)) {
+    throw new InvalidOptionError(
+      'format',
+      "Text format must be 'txt', 'json', 'hocr', 'alto' or 'markdown'",
+    );
+  }
+  if (format === 'txt') {
+    return page.extractedText;
+  }
+  if (!page.textBoxes) {
+    throw new InvalidOptionError(
+      'format',
+      `Text format '${format}' needs word positions; convert with textBoxes: true`,
+    );
+  }
+  const imageName = options.imageName ?? null;
+  switch (format) {
+    case 'json':
+      return toJson(page, imageName);
+    case 'hocr':
+      return toHocr(page, imageName);
+    case 'alto':
+      return toAlto(page, imageName);
+    default:
+      return toMarkdown(page);
+  }
+}
+
+/* ----------------- Helper Functions ----------------- */
+
+function toJson(page, imageName) {
+  return JSON.stringify(
+    {
+      pageNumber: page.pageNumber,
+      pageLabel: page.pageLabel,
+      tileIndex: page.tileIndex,
+      image: imageName,
+      width: page.width,
+      height: page.height,
+      sourceRect: page.sourceRect,
+      placement: page.placement,
+      text: page.extractedText,
+      words: page.textBoxes,
+    },
+    null,
+    2,
+  ) + '\n';
+}
+
+// hOCR 1.2: ocr_page > ocr_carea > ocr_par > ocr_line > ocrx_word
+function toHocr(page, imageName) {
+  const id = pageId(page);
+  const image = imageName ? `image "${imageName}"; ` : '';
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN"',
+    '    "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+    '<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">',
+    '<head>',
+    `  <title>${escapeXml(imageName ?? `Page ${page.pageNumber}`)}</title>`,
+    '  <meta http-equiv="Content-Type" content="text/html; charset=utf-8"/>',
+    '  <meta name="ocr-system" content="pdf2square"/>',
+    '  <meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word ocrp_font ocrp_fsize"/>',
+    '</head>',
+    '<body>',
+    `  <div class="ocr_page" id="page_${id}" title="${
+      escapeXml(image)
+    }bbox 0 0 ${page.width} ${page.height}; ppageno ${page.pageNumber - 1}">`,
+  ];
+  let lineCount = 0;
+  let wordCount = 0;
+  for (const [b, lines] of textBlocks(page.textBoxes).entries()) {
+    const bbox = hocrBbox(lines.flat());
+    out.push(
+      `    <div class="ocr_carea" id="block_${id}_${b + 1}" title="${bbox}">`,
+      `      <p class="ocr_par" id="par_${id}_${b + 1}" title="${bbox}">`,
+    );
+    for (const words of lines) {
+      out.push(
+        `        <span class="ocr_line" id="line_${id}_${++lineCount}" title="${
+          hocrBbox(words)
+        }; x_size ${lineHeight(words)}">`,
+      );
+      for (const word of words) {
+        out.push(
+          `          <span class="ocrx_word" id="word_${id}_${++wordCount}" title="${
+            hocrBbox([word])
+          }; x_font ${escapeXml(word.fontName)}; x_fsize ${word.fontSize}">${
+            escapeXml(word.text)
+          }</span>`,
+        );
+      }
+      out.push('        </span>');
+    }
+    out.push('      </p>', '    </div>');
+  }
+  out.push('  </div>', '</body>', '</html>', '');
+  return out.join('\n');
+}
+
+// ALTO v4 with pixel measurements and one TextStyle per font and size
+function toAlto(page, imageName) {
+  const id = pageId(page);
+  const styles = new Map();
+  for (const word of page.textBoxes) {
+    const key = `${word.fontName}\u0000${word.fontSize}`;
+    if (!styles.has(key)) {
+      styles.set(key, { id: `font${styles.size}`, ...word });
+    }
+  }
+  const styleOf = (word) =>
+    styles.get(`${word.fontName}\u0000${word.fontSize}`).id;
+
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/standards/alto/v4/alto-4-4.xsd">',
+    '  <Description>',
+    '    <MeasurementUnit>pixel</MeasurementUnit>',
+    '    <sourceImageInformation>',
+    `      <fileName>${escapeXml(imageName ?? '')}</fileName>`,
+    '    </sourceImageInformation>',
+    '    <OCRProcessing ID="ocr_0">',
+    '      <ocrProcessingStep>',
+    '        <processingSoftware>',
+    '          <softwareName>pdf2square</softwareName>',
+    '        </processingSoftware>',
+    '      </ocrProcessingStep>',
+    '    </OCRProcessing>',
+    '  </Description>',
+    '  <Styles>',
+    ...[...styles.values()].map((s) =>
+      `    <TextStyle ID="${s.id}" FONTFAMILY="${
+        escapeXml(s.fontName)
+      }" FONTSIZE="${s.fontSize}"/>`
+    ),
+    '  </Styles>',
+    '  <Layout>',
+    `    <Page ID="page_${id}" PHYSICAL_IMG_NR="${page.pageNumber}"${
+      page.pageLabel ? ` PRINTED_IMG_NR="${escapeXml(page.pageLabel)}"` : ''
+    } WIDTH="${page.width}" HEIGHT="${page.height}">`,
+    `      <PrintSpace HPOS="0" VPOS="0" WIDTH="${page.width}" HEIGHT="${page.height}">`,
+  ];
+  let lineCount = 0;
+  let wordCount = 0;
+  for (const [b, lines] of textBlocks(page.textBoxes).entries()) {
+    out.push(
+      `        <TextBlock ID="block_${id}_${b + 1}" ${altoBox(lines.flat())}>`,
+    );
+    for (const words of lines) {
+      out.push(
+        `          <TextLine ID="line_${id}_${++lineCount}" ${altoBox(words)}>`,
+      );
+      words.forEach((word, i) => {
+        if (i > 0) out.push('            <SP/>');
+        out.push(
+          `            <String ID="string_${id}_${++wordCount}" ${
+            altoBox([word])
+          } STYLEREFS="${styleOf(word)}" CONTENT="${escapeXml(word.text)}"/>`,
+        );
+      });
+      out.push('          </TextLine>');
+    }
+    out.push('        </TextBlock>');
+  }
+  out.push(
+    '      </PrintSpace>',
+    '    </Page>',
+    '  </Layout>',
+    '</alto>',
+    '',
+  );
+  return out.join('\n');
+}
+
+// One Markdown block per text block: headings by font size, bullets as
+// list items, other lines kept as they are
+function toMarkdown(page) {
+  const blocks = textBlocks(page.textBoxes);
+  if (blocks.length === 0) return '';
+  const bodySize = median(page.textBoxes.map((w) => w.fontSize));
+  return blocks
+    .map((lines) => {
+      const texts = lines.map((words) => words.map((w) => w.text).join(' '));
+      const size = Math.max(...lines.flat().map((w) => w.fontSize));
+      if (lines.length <= MAX_HEADING_LINES) {
+        if (size >= H1_RATIO * bodySize) return `# ${texts.join(' ')}`;
+        if (size >= H2_RATIO * bodySize) return `## ${texts.join(' ')}`;
+      }
+      if (
+        texts.length === 1 && !BULLET.test(texts[0]) &&
+        lines[0].every((w) => /bold/i.test(w.fontName))
+      ) {
+        return `## ${texts[0]}`;
+      }
+      return texts
+        .map((text) =>
+          BULLET.test(text) ? `- ${text.replace(BULLET, '')}` : text
+        )
+        .join('\n');
+    })
+    .join('\n\n') + '\n';
+}
+
+// Boxes grouped into blocks (reading order) and lines (top to bottom)
+function textBlocks(boxes) {
+  const blocks = new Map();
+  for (const box of boxes) {
+    if (!blocks.has(box.block)) blocks.set(box.block, new Map());
+    const lines = blocks.get(box.block);
+    if (!lines.has(box.line)) lines.set(box.line, []);
+    lines.get(box.line).push(box);
+  }
+  return [...blocks.keys()]
+    .sort((a, b) => a - b)
+    .map((block) =>
+      [...blocks.get(block).values()].sort((a, b) =>
+        Math.min(...a.map((w) => w.y)) - Math.min(...b.map((w) => w.y))
+      )
+    );
+}
+
+function bounds(boxes) {
+  const x0 = Math.min(...boxes.map((b) => b.x));
+  const y0 = Math.min(...boxes.map((b) => b.y));
+  const x1 = Math.max(...boxes.map((b) => b.x + b.width));
+  const y1 = Math.max(...boxes.map((b) => b.y + b.height));
+  return { x0, y0, x1, y1 };
+}
+
+function hocrBbox(boxes) {
+  const { x0, y0, x1, y1 } = bounds(boxes);
+  return `bbox ${x0} ${y0} ${x1} ${y1}`;
+}
+
+function altoBox(boxes) {
+  const { x0, y0, x1, y1 } = bounds(boxes);
+  return `HPOS="${x0}" VPOS="${y0}" WIDTH="${x1 - x0}" HEIGHT="${y1 - y0}"`;
+}
+
+function lineHeight(words) {
+  const { y0, y1 } = bounds(words);
+  return y1 - y0;
+}
+
+// Unique per page and tile, so several pages can share one document
+function pageId(page) {
+  return page.tileIndex === undefined
+    ? `${page.pageNumber}`
+    : `${page.pageNumber}_t${page.tileIndex + 1}`;
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
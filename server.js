@@ -0,0 +1,501 @@
+/**
+ * pdf2square server - the HTTP API behind `pdf2square serve`, on plain
+ * node:http
+ *
+ * POST /convert converts one PDF: the raw request body, or the file of a
+ * multipart/form-data upload. ConvertOptions come from the query string
+ * (?size=512&format=webp&encoder.quality=80), from form fields of the same
+ * names, or as JSON in an `options` parameter or field. The pages come back
+ * as one JSON document, or with `Accept: application/x-ndjson` as a line of
+ * JSON each, written as soon as the page is converted. GET /healthz answers
+ * while the server is up.
+ *
+ * The upload size, the pages, image size and tiles per request and the time
+ * per request are limited by the server, and the pages of all requests share
+ * one concurrency budget.
+ */
+
+import { once } from 'node:events';
+import http from 'node:http';
+import {
+  convertIter,
+  createLimiter,
+  InvalidOptionError,
+  LimitExceededError,
+} from './lib.js';
+
+const DEFAULTS = {
+  maxUploadBytes: 50 * 1024 * 1024,
+  maxPages: 10,
+  maxSize: 2048,
+  maxTiles: 8,
+  timeoutMs: 60_000,
+  concurrency: 4,
+  workers: 0,
+  maxMemoryBytes: 2 ** 30,
+};
+
+// convert()'s default size, for requests that set none
+const DEFAULT_SIZE = 896;
+
+// ConvertOptions a request may set, with how a query or form value is read;
+// the others (concurrency, workers, limits, ...) are the server's
+const REQUEST_OPTIONS = {
+  maxPages: 'number',
+  size: 'number',
+  dpi: 'dpi',
+  oversample: 'number',
+  onLimit: 'string',
+  first: 'number',
+  pages: 'string',
+  format: 'string',
+  bg: 'string',
+  output: 'string',
+  layout: 'string',
+  tileOverlap: 'number',
+  maxTiles: 'number',
+  fit: 'string',
+  trim: 'boolean',
+  position: 'string',
+  textMode: 'string',
+  textBoxes: 'textBoxes',
+  password: 'string',
+  pageTimeoutMs: 'number',
+  onPageError: 'string',
+};
+const ENCODER_OPTIONS = {
+  quality: 'number',
+  lossless: 'boolean',
+  effort: 'number',
+  compressionLevel: 'number',
+  palette: 'boolean',
+  progressive: 'boolean',
+  mozjpeg: 'boolean',
+  chromaSubsampling: 'string',
+};
+
+// Response status per error code, as in the README's error table
+const STATUS_BY_CODE = {
+  ERR_INVALID_OPTION: 400,
+  ERR_INVALID_PDF: 422,
+  ERR_PAGE_RANGE: 422,
+  ERR_LIMIT_EXCEEDED: 413,
+  ERR_PASSWORD_REQUIRED: 401,
+  ERR_INCORRECT_PASSWORD: 403,
+  ERR_RENDER: 500,
+};
+
+// A request refused for reasons of HTTP rather than of the conversion
+class RequestError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Create the pdf2square HTTP server; call listen() on it to start.
+ * @param {{ maxUploadBytes?: number, maxPages?: number, maxSize?: number, maxTiles?: number, timeoutMs?: number, concurrency?: number, workers?: number, maxMemoryBytes?: number, onError?: (err: Error) => void }} [options={}] - maxUploadBytes: largest upload accepted (default 50 MiB);
+ *   maxPages: most pages one request converts (default 10); maxSize: largest size a request may ask for (default 2048);
+ *   maxTiles: most tiles per page a request may ask for (default 8); timeoutMs: most time a request may take to upload, and then to convert (default 60 s);
+ *   concurrency: pages converting at once across all requests (default 4); workers, maxMemoryBytes: as in ConvertOptions, per request;
+ *   onError: called with the error of every 5xx response
+ * @returns {http.Server} The server, not yet listening
+ * @throws {InvalidOptionError} If a limit is not a positive integer
+ */
+export function createServer(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const limits = [
+    'maxUploadBytes',
+    'maxPages',
+    'maxSize',
+    'maxTiles',
+    'timeoutMs',
+  ];
+  for (const name of limits) {
+    const value = settings[name];
+    if (!Number.isInteger(value) || value < 1) {
+      throw new InvalidOptionError(
+        name,
+        `${name} must be a positive integer (got ${value})`,
+      );
+    }
+  }
+  const limiter = createLimiter(settings.concurrency);
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname === '/healthz') {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+          throw methodNotAllowed(res, 'GET, HEAD');
+        }
+        sendJson(res, 200, { status: 'ok' });
+      } else if (pathname === '/convert') {
+        if (req.method !== 'POST') throw methodNotAllowed(res, 'POST');
+        await convertRequest(req, res, settings, limiter);
+      } else {
+        throw new RequestError(404, 'ERR_NOT_FOUND', `No ${pathname} here.`);
+      }
+    } catch (err) {
+      sendError(req, res, err, settings);
+    }
+  });
+  // A stalled upload is cut off by Node.js with a 408 once this is over
+  server.requestTimeout = settings.timeoutMs;
+  return server;
+}
+
+/* ----------------- Helper Functions ----------------- */
+
+// POST /convert: read the upload, then answer with all pages as JSON, or
+// stream them as NDJSON. Either ends with the page errors
+// (onPageError 'skip' or 'placeholder') and the document's page count.
+async function convertRequest(req, res, settings, limiter) {
+  const body = await readBody(req, settings.maxUploadBytes);
+  const { pdf, params } = parseUpload(req, body);
+  const options = requestOptions(params, settings);
+
+  // Stop converting when the client goes away, or the time is up
+  const closed = new AbortController();
+  res.once('close', () => closed.abort());
+  const signal = AbortSignal.any([
+    AbortSignal.timeout(settings.timeoutMs),
+    closed.signal,
+  ]);
+  let numPages;
+  const pages = convertIter(pdf, {
+    ...options,
+    concurrency: settings.concurrency,
+    limiter,
+    workers: settings.workers,
+    maxMemoryBytes: settings.maxMemoryBytes,
+    maxInputBytes: settings.maxUploadBytes,
+    signal,
+    onProgress: (event) => {
+      if (event.type === 'document-loaded') numPages = event.numPages;
+    },
+  });
+
+  try {
+    if (!/application\/(x-)?ndjson/.test(req.headers.accept ?? '')) {
+      const results = [];
+      let step;
+      while (!(step = await pages.next()).done) results.push(step.value);
+      sendJson(res, 200, { numPages, pages: results, errors: step.value });
+      return;
+    }
+    // The status goes out with the first page, so a PDF that cannot be
+    // opened still gets its own
+    let step = await pages.next();
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    while (!step.done) {
+      await writeLine(res, step.value, closed.signal);
+      step = await pages.next();
+    }
+    await writeLine(res, { numPages, errors: step.value }, closed.signal);
+    res.end();
+  } catch (err) {
+    if (err?.name === 'TimeoutError') {
+      throw new RequestError(
+        504,
+        'ERR_TIMEOUT',
+        `Conversion took longer than ${settings.timeoutMs} ms.`,
+      );
+    }
+    throw err;
+  } finally {
+    // Closes the document if a write failed between pages
+    await pages.return(undefined);
+  }
+}
+
+// The request body; refused as soon as it is over maxUploadBytes
+function readBody(req, maxUploadBytes) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () =>
+      new LimitExceededError(
+        'maxUploadBytes',
+        `Upload is over maxUploadBytes (${maxUploadBytes} bytes).`,
+      );
+    if (Number(req.headers['content-length']) > maxUploadBytes) {
+      reject(tooLarge());
+      return;
+    }
+    const chunks = [];
+    let length = 0;
+    const onData = (chunk) => {
+      length += chunk.length;
+      if (length > maxUploadBytes) {
+        // Not destroyed, so that the 413 can still be sent
+        req.off('data', onData);
+        req.pause();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.once('end', () => resolve(Buffer.concat(chunks)));
+    req.once('error', reject);
+  });
+}
+
+// The PDF and the option parameters of a request: the body and the query
+// string, or the file of a multipart upload and its other fields on top of
+// the query string. A password comes from a form field or the
+// X-PDF-Password header, never the URL.
+function parseUpload(req, body) {
+  const url = new URL(req.url, 'http://localhost');
+  const params = Object.fromEntries(url.searchParams);
+  checkNoPassword(params);
+  const password = req.headers['x-pdf-password'];
+  if (password !== undefined) params.password = password;
+  const type = req.headers['content-type'] ?? '';
+  if (!/^multipart\/form-data\b/i.test(type)) return { pdf: body, params };
+  const { file, fields } = parseMultipart(body, type);
+  return { pdf: file, params: { ...params, ...fields } };
+}
+
+// Refuse a password in the query string, where proxy and access logs would
+// keep it
+function checkNoPassword(query) {
+  let json;
+  try {
+    json = JSON.parse(query.options ?? '{}');
+  } catch {
+    // Reported as a bad options parameter later on
+  }
+  if (query.password !== undefined || json?.password !== undefined) {
+    throw new RequestError(
+      400,
+      'ERR_BAD_REQUEST',
+      'Send the password in the X-PDF-Password header or a form field, not in the URL.',
+    );
+  }
+}
+
+// The file (the part with a filename, or named 'file') and the text fields
+// of a multipart/form-data body
+function parseMultipart(body, type) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(type);
+  if (!boundary) {
+    throw new RequestError(
+      400,
+      'ERR_BAD_REQUEST',
+      'multipart/form-data without a boundary.',
+    );
+  }
+  const delimiter = Buffer.from(`\r\n--${boundary[1] ?? boundary[2]}`);
+  // With a CRLF in front, the first delimiter reads like the others
+  const data = Buffer.concat([Buffer.from('\r\n'), body]);
+  const fields = {};
+  let file;
+  let at = data.indexOf(delimiter);
+  while (at >= 0) {
+    const start = at + delimiter.length;
+    // The last delimiter ends in '--'
+    if (data.subarray(start, start + 2).toString() === '--') break;
+    const end = data.indexOf(delimiter, start);
+    const headerEnd = data.indexOf('\r\n\r\n', start);
+    if (end < 0 || headerEnd < 0 || headerEnd > end) {
+      throw new RequestError(
+        400,
+        'ERR_BAD_REQUEST',
+        'Malformed multipart/form-data body.',
+      );
+    }
+    const headers = data.subarray(start, headerEnd).toString();
+    const disposition = /^content-disposition:(.*)$/im.exec(headers)?.[1] ??
+      '';
+    const name = /\bname="([^"]*)"/i.exec(disposition)?.[1];
+    const content = data.subarray(headerEnd + 4, end);
+    if (/\bfilename\*?=/i.test(disposition) || name === 'file') {
+      if (file) {
+        throw new RequestError(
+          400,
+          'ERR_BAD_REQUEST',
+          'Upload one PDF per request.',
+        );
+      }
+      file = content;
+    } else if (name) {
+      fields[name] = content.toString();
+    }
+    at = end;
+  }
+  if (!file) {
+    throw new RequestError(
+      400,
+      'ERR_BAD_REQUEST',
+      "The multipart upload has no file; send the PDF as a file field (e.g. 'file').",
+    );
+  }
+  return { file, fields };
+}
+
+// ConvertOptions from the request parameters: typed from their text, then
+// the `options` JSON on top. Over-the-limit maxPages are refused, and the
+// server's maxPages is the default.
+function requestOptions(params, settings) {
+  const { options: json, ...fields } = params;
+  const options = {};
+  const encoder = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (key.startsWith('encoder.')) {
+      const name = key.slice('encoder.'.length);
+      checkRequestOption(key, ENCODER_OPTIONS, name);
+      encoder[name] = parseParam(key, ENCODER_OPTIONS[name], value);
+    } else {
+      checkRequestOption(key, REQUEST_OPTIONS, key);
+      options[key] = parseParam(key, REQUEST_OPTIONS[key], value);
+    }
+  }
+  if (json !== undefined) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (err) {
+      throw new InvalidOptionError(
+        'options',
+        `options must be a JSON object (${err.message})`,
+      );
+    }
+    if (!isPlainObject(parsed)) {
+      throw new InvalidOptionError('options', 'options must be a JSON object');
+    }
+    const { encoder: jsonEncoder = {}, ...rest } = parsed;
+    if (!isPlainObject(jsonEncoder)) {
+      throw new InvalidOptionError('encoder', 'encoder must be an object');
+    }
+    for (const key of Object.keys(rest)) {
+      checkRequestOption(key, REQUEST_OPTIONS, key);
+    }
+    for (const key of Object.keys(jsonEncoder)) {
+      checkRequestOption(`encoder.${key}`, ENCODER_OPTIONS, key);
+    }
+    Object.assign(options, rest);
+    Object.assign(encoder, jsonEncoder);
+  }
+
+  if (options.output === 'buffer') {
+    throw new InvalidOptionError(
+      'output',
+      "output must be 'dataUri' or 'base64' over HTTP (got \"buffer\")",
+    );
+  }
+  if (options.maxPages > settings.maxPages) {
+    throw new LimitExceededError(
+      'maxPages',
+      `maxPages (${options.maxPages}) is over the server's maxPages (${settings.maxPages}).`,
+    );
+  }
+  if (options.size > settings.maxSize) {
+    throw new LimitExceededError(
+      'maxSize',
+      `size (${options.size}) is over the server's maxSize (${settings.maxSize}).`,
+    );
+  }
+  if (options.maxTiles > settings.maxTiles) {
+    throw new LimitExceededError(
+      'maxTiles',
+      `maxTiles (${options.maxTiles}) is over the server's maxTiles (${settings.maxTiles}).`,
+    );
+  }
+  // A `pages` selection is only held to maxPages with onLimit 'throw'
+  if (options.pages !== undefined) options.onLimit = 'throw';
+  return {
+    maxPages: settings.maxPages,
+    // As in the CLI: sized from the output, rather than convert()'s fixed 700
+    dpi: 'auto',
+    size: Math.min(DEFAULT_SIZE, settings.maxSize),
+    maxTiles: settings.maxTiles,
+    ...options,
+    encoder,
+  };
+}
+
+function checkRequestOption(key, known, name) {
+  if (!Object.hasOwn(known, name)) {
+    throw new InvalidOptionError(
+      key,
+      `${key} is not an option a request can set`,
+    );
+  }
+}
+
+// The value of a query or form parameter as the option's type
+function parseParam(key, type, value) {
+  if (type === 'string') return value;
+  if (type === 'dpi' && value === 'auto') return value;
+  if (type === 'textBoxes' && ['words', 'lines'].includes(value)) return value;
+  if (type === 'boolean' || type === 'textBoxes') {
+    if (['', 'true', '1'].includes(value)) return true;
+    if (['false', '0'].includes(value)) return false;
+    throw new InvalidOptionError(
+      key,
+      `${key} must be true or false (got "${value}")`,
+    );
+  }
+  const number = Number(value);
+  if (value.trim() === '' || Number.isNaN(number)) {
+    throw new InvalidOptionError(
+      key,
+      `${key} must be a number (got "${value}")`,
+    );
+  }
+  return number;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function methodNotAllowed(res, allow) {
+  res.setHeader('Allow', allow);
+  return new RequestError(
+    405,
+    'ERR_METHOD_NOT_ALLOWED',
+    `Use ${allow.split(', ')[0]} here.`,
+  );
+}
+
+// One NDJSON line, waiting for the client to catch up if it is behind
+async function writeLine(res, value, signal) {
+  if (!res.write(`${JSON.stringify(value)}\n`)) {
+    await once(res, 'drain', { signal });
+  }
+}
+
+function sendJson(res, status, value) {
+  const body = JSON.stringify(value);
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+// { error: { code, message, ... } } with the status of the error's code; an
+// NDJSON stream already under way ends with it as its last line instead
+function sendError(req, res, err, settings) {
+  const status = err.status ?? STATUS_BY_CODE[err.code] ?? 500;
+  if (status >= 500) settings.onError?.(err);
+  if (res.destroyed) return;
+  const error = {
+    code: status === 500 && !err.code ? 'ERR_INTERNAL' : err.code,
+    message: err.message,
+    option: err.option,
+    limit: err.limit,
+    pageNumber: err.pageNumber,
+  };
+  if (res.headersSent) {
+    res.end(`${JSON.stringify({ error })}\n`);
+    return;
+  }
+  // The rest of an upload that was refused is not read
+  if (!req.complete) res.setHeader('Connection', 'close');
+  sendJson(res, status, { error });
+}
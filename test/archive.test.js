@@ -0,0 +1,101 @@
+/**
+ * Tests for pdf2square archives
+ * Run with: node --test test/archive.test.js
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { PassThrough } from 'node:stream';
+import { crc32, inflateRawSync } from 'node:zlib';
+import { createArchive } from '../archive.js';
+
+const files = {
+  'page-001.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]),
+  'page-001.txt': 'Hello, world. '.repeat(50),
+  [`${'d'.repeat(80)}/${'f'.repeat(80)}.txt`]: 'deep',
+};
+
+// Archive `files` in memory and return the bytes
+async function build(format) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  const archive = createArchive(format, stream);
+  for (const [name, data] of Object.entries(files)) {
+    await archive.add(name, data);
+  }
+  await archive.finish();
+  return Buffer.concat(chunks);
+}
+
+// Read a ustar archive back: { name: contents }
+function readTar(bytes) {
+  const entries = {};
+  let at = 0;
+  while (bytes[at] !== 0) {
+    const field = (start, length) =>
+      bytes.subarray(at + start, at + start + length).toString().split('\0')[0];
+    const prefix = field(345, 155);
+    const name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+    const size = parseInt(field(124, 12), 8);
+    let sum = 0;
+    for (let i = 0; i < 512; i++) {
+      sum += i >= 148 && i < 156 ? 0x20 : bytes[at + i];
+    }
+    assert.strictEqual(parseInt(field(148, 8), 8), sum);
+    entries[name] = bytes.subarray(at + 512, at + 512 + size);
+    at += 512 + Math.ceil(size / 512) * 512;
+  }
+  assert.strictEqual(bytes.length, at + 1024);
+  return entries;
+}
+
+// Read a zip archive back through its central directory: { name: contents }
+function readZip(bytes) {
+  const end = bytes.length - 22;
+  assert.strictEqual(bytes.readUInt32LE(end), 0x06054b50);
+  const count = bytes.readUInt16LE(end + 10);
+  const entries = {};
+  let at = bytes.readUInt32LE(end + 16);
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(bytes.readUInt32LE(at), 0x02014b50);
+    const method = bytes.readUInt16LE(at + 10);
+    const crc = bytes.readUInt32LE(at + 16);
+    const compressedSize = bytes.readUInt32LE(at + 20);
+    const nameLength = bytes.readUInt16LE(at + 28);
+    const offset = bytes.readUInt32LE(at + 42);
+    const name = bytes.subarray(at + 46, at + 46 + nameLength).toString();
+    const start = offset + 30 + bytes.readUInt16LE(offset + 26);
+    const data = bytes.subarray(start, start + compressedSize);
+    entries[name] = method === 8 ? inflateRawSync(data) : data;
+    assert.strictEqual(crc32(entries[name]), crc);
+    at += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('createArchive', () => {
+  for (const [format, read] of [['tar', readTar], ['zip', readZip]]) {
+    test(`should write a ${format} archive of the files added`, async () => {
+      const entries = read(await build(format));
+      assert.deepStrictEqual(Object.keys(entries), Object.keys(files));
+      for (const [name, data] of Object.entries(files)) {
+        assert.deepStrictEqual(entries[name], Buffer.from(data));
+      }
+    });
+  }
+
+  test('should store images and deflate text in zip archives', async () => {
+    const bytes = await build('zip');
+    // Local headers in order: the PNG first, then the text
+    assert.strictEqual(bytes.readUInt16LE(8), 0);
+    const second = 30 + 'page-001.png'.length + files['page-001.png'].length;
+    assert.strictEqual(bytes.readUInt16LE(second + 8), 8);
+  });
+
+  test('should reject unknown formats and names tar cannot hold', async () => {
+    assert.throws(() => createArchive('rar', new PassThrough()), /zip or tar/);
+    const archive = createArchive('tar', new PassThrough());
+    await assert.rejects(archive.add('x'.repeat(101), ''), /too long/);
+  });
+});
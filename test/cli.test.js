@@ -6,6 +6,7 @@
 import { afterEach, beforeEach, describe, test } from 'node:test';
 import assert from 'node:assert';
 import { spawn } from 'node:child_process';
+import { createHash } from 'node:crypto';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
@@ -18,19 +19,23 @@ const tempDir = path.join(__dirname, 'temp-cli-files');
 /**
  * Helper function to run CLI command
  * @param {string[]} args - Command line arguments
- * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
+ * @param {Record<string, string>} [env] - Extra environment variables
+ * @param {Buffer} [input] - Bytes to pipe to stdin
+ * @returns {Promise<{stdout: string, stdoutBytes: Buffer, stderr: string, exitCode: number}>}
  */
-function runCLI(args = []) {
+function runCLI(args = [], env = {}, input) {
   return new Promise((resolve) => {
     const child = spawn('node', [CLI_PATH, ...args], {
       stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, ...env },
     });
+    if (input) child.stdin.end(input);
 
-    let stdout = '';
+    const chunks = [];
     let stderr = '';
 
     child.stdout.on('data', (data) => {
-      stdout += data.toString();
+      chunks.push(data);
     });
 
     child.stderr.on('data', (data) => {
@@ -38,11 +43,23 @@ function runCLI(args = []) {
     });
 
     child.on('close', (exitCode) => {
-      resolve({ stdout, stderr, exitCode });
+      const stdoutBytes = Buffer.concat(chunks);
+      resolve({
+        stdout: stdoutBytes.toString(),
+        stdoutBytes,
+        stderr,
+        exitCode,
+      });
     });
 
     child.on('error', (error) => {
-      resolve({ stdout, stderr: error.message, exitCode: -1 });
+      const stdoutBytes = Buffer.concat(chunks);
+      resolve({
+        stdout: stdoutBytes.toString(),
+        stdoutBytes,
+        stderr: error.message,
+        exitCode: -1,
+      });
     });
   });
 }
@@ -470,4 +487,792 @@ describe('CLI integration tests with real PDF', () => {
     );
     assert(outputFiles.length > 0, 'Should have created output files');
   });
+
+  test('should convert an explicit page selection via --pages', async () => {
+    const result = await runCLI([
+      testPdfPath,
+      path.join(tempDir, 'selected'),
+      '--pages',
+      '-1',
+      '--size',
+      '64',
+    ]);
+
+    assert.strictEqual(result.exitCode, 0);
+    assert(result.stdout.includes('Wrote pages 2'));
+
+    const files = await fs.readdir(tempDir);
+    const pngFiles = files.filter((f) => f.endsWith('.png'));
+    assert.deepStrictEqual(pngFiles, ['selected-002.png']);
+  });
+
+  test('should report out-of-range --pages clearly', async () => {
+    const result = await runCLI([
+      testPdfPath,
+      path.join(tempDir, 'out-of-range'),
+      '--pages',
+      '1,5',
+      '--size',
+      '64',
+    ]);
+
+    assert.strictEqual(result.exitCode, 1);
+    assert(result.stderr.includes('Page 5 is out of range'));
+  });
+
+  test('should write webp output with encoder flags', async () => {
+    const result = await runCLI([
+      testPdfPath,
+      path.join(tempDir, 'webp-page'),
+      '--max-pages',
+      '1',
+      '--size',
+      '64',
+      '--format',
+      'webp',
+      '--quality',
+      '60',
+      '--effort',
+      '2',
+    ]);
+
+    assert.strictEqual(result.exitCode, 0);
+    const files = await fs.readdir(tempDir);
+    assert(files.includes('webp-page-001.webp'));
+    const bytes = await fs.readFile(path.join(tempDir, 'webp-page-001.webp'));
+    assert.strictEqual(bytes.toString('latin1', 8, 12), 'WEBP');
+  });
+
+  test('should write one file pair per tile with --layout tile', async () => {
+    const result = await runCLI([
+      testPdfPath,
+      path.join(tempDir, 'tiled'),
+      '--pages',
+      '1',
+      '--size',
+      '64',
+      '--layout',
+      'tile',
+    ]);
+
+    assert.strictEqual(result.exitCode, 0);
+    const files = (await fs.readdir(tempDir)).sort();
+    assert.deepStrictEqual(files, [
+      'tiled-001-t1.png',
+      'tiled-001-t1.txt',
+      'tiled-001-t2.png',
+      'tiled-001-t2.txt',
+    ]);
+  });
+  test('should write layout text with --text-mode layout', async () => {
+    const result = await runCLI([
+      testPdfPath,
+      path.join(tempDir, 'layout'),
+      '--pages',
+      '2',
+      '--size',
+      '64',
+      '--text-mode',
+      'layout',
+    ]);
+
+    assert.strictEqual(result.exitCode, 0);
+    const text = await fs.readFile(
+      path.join(tempDir, 'layout-002.txt'),
+      'utf8',
+    );
+    assert(text.startsWith('Notes from the Field\n\n'));
+  });
+  test('should write hOCR matching the image with --text-format', async () => {
+    const result = await runCLI([
+      testPdfPath,
+      path.join(tempDir, 'ocr'),
+      '--pages',
+      '1',
+      '--size',
+      '64',
+      '--text-format',
+      'hocr',
+    ]);
+
+    assert.strictEqual(result.exitCode, 0);
+    const files = (await fs.readdir(tempDir)).sort();
+    assert.deepStrictEqual(files, ['ocr-001.hocr', 'ocr-001.png']);
+    const hocr = await fs.readFile(path.join(tempDir, 'ocr-001.hocr'), 'utf8');
+    assert(hocr.includes('image &#34;ocr-001.png&#34;; bbox 0 0 64 64'));
+    assert(hocr.includes('class="ocrx_word"'));
+  });
+
+  test('should reject an unknown --text-format before converting', async () => {
+    const result = await runCLI([
+      testPdfPath,
+      path.join(tempDir, 'p'),
+      '--text-format',
+      'foo',
+    ]);
+    assert.strictEqual(result.exitCode, 1);
+    assert(result.stderr.includes("Unknown --text-format 'foo'"));
+    assert.deepStrictEqual(await fs.readdir(tempDir), []);
+  });
+  describe('encrypted PDFs', () => {
+    const encryptedPdfPath = path.join(__dirname, 'encrypted.pdf');
+    const run = (args, env) =>
+      runCLI(
+        [encryptedPdfPath, path.join(tempDir, 'enc'), '--size', '64', ...args],
+        { PDF2SQUARE_PASSWORD: '', ...env },
+      );
+
+    test('should explain how to pass a password', async () => {
+      const result = await run([]);
+      assert.strictEqual(result.exitCode, 1);
+      assert(result.stderr.includes('password-protected'));
+      assert(result.stderr.includes('--password'));
+    });
+
+    test('should report a wrong password', async () => {
+      const result = await run(['--password', 'nope']);
+      assert.strictEqual(result.exitCode, 1);
+      assert(result.stderr.includes('incorrect'));
+    });
+
+    test('should accept --password', async () => {
+      const result = await run(['--password', 'secret']);
+      assert.strictEqual(result.exitCode, 0);
+      const text = await fs.readFile(path.join(tempDir, 'enc-001.txt'), 'utf8');
+      assert.strictEqual(text, 'Secret page');
+    });
+
+    test('should read --password-file without its trailing newline', async () => {
+      const passwordFile = path.join(tempDir, 'password.txt');
+      await fs.writeFile(passwordFile, 'secret\n');
+      const result = await run(['--password-file', passwordFile]);
+      assert.strictEqual(result.exitCode, 0);
+    });
+
+    test('should read PDF2SQUARE_PASSWORD', async () => {
+      const result = await run([], { PDF2SQUARE_PASSWORD: 'secret' });
+      assert.strictEqual(result.exitCode, 0);
+    });
+  });
+
+  describe('progress output', () => {
+    const run = (args) =>
+      runCLI([
+        testPdfPath,
+        path.join(tempDir, 'progress'),
+        '--size',
+        '64',
+        '--dpi',
+        '72',
+        ...args,
+      ]);
+
+    test('should print a line per page when stderr is not a TTY', async () => {
+      const result = await run([]);
+      assert.strictEqual(result.exitCode, 0);
+      assert.match(result.stderr, /^Loaded 2 pages in [\d.]+s; converting 2$/m);
+      assert.match(result.stderr, /^Page 1 done in [\d.]+s \(\d\/2\)$/m);
+      assert.match(result.stderr, /^Page 2 done in [\d.]+s \(\d\/2\)$/m);
+      assert(!result.stderr.includes('rendered'));
+    });
+
+    test('should print every stage with --verbose', async () => {
+      const result = await run(['--verbose', '--pages', '1']);
+      assert.strictEqual(result.exitCode, 0);
+      for (const stage of ['started', 'rendered', 'encoded']) {
+        assert.match(result.stderr, new RegExp(`^Page 1 ${stage} at `, 'm'));
+      }
+    });
+
+    test('should print nothing with --quiet', async () => {
+      const result = await run(['--quiet']);
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(result.stdout, '');
+      assert.strictEqual(result.stderr, '');
+      assert.strictEqual((await fs.readdir(tempDir)).length, 4);
+    });
+  });
+
+  test('should accept --dpi auto with --oversample', async () => {
+    const result = await runCLI([
+      testPdfPath,
+      path.join(tempDir, 'auto'),
+      '--size',
+      '64',
+      '--pages',
+      '1',
+      '--dpi',
+      'auto',
+      '--oversample',
+      '1.5',
+      '--max-canvas-pixels',
+      '1000000',
+    ]);
+    assert.strictEqual(result.exitCode, 0);
+    assert.deepStrictEqual((await fs.readdir(tempDir)).sort(), [
+      'auto-001.png',
+      'auto-001.txt',
+    ]);
+  });
+
+  test('should render on worker threads with --workers', async () => {
+    const result = await runCLI([
+      testPdfPath,
+      path.join(tempDir, 'threaded'),
+      '--size',
+      '64',
+      '--workers',
+      '2',
+    ]);
+    assert.strictEqual(result.exitCode, 0);
+    assert.deepStrictEqual((await fs.readdir(tempDir)).sort(), [
+      'threaded-001.png',
+      'threaded-001.txt',
+      'threaded-002.png',
+      'threaded-002.txt',
+    ]);
+  });
+
+  test('should reject an invalid --oversample', async () => {
+    const result = await runCLI([
+      testPdfPath,
+      path.join(tempDir, 'auto'),
+      '--oversample',
+      '0',
+    ]);
+    assert.strictEqual(result.exitCode, 1);
+    assert(result.stderr.includes('oversample must be a positive number'));
+  });
+
+  test('should refuse PDFs over --max-input-bytes', async () => {
+    const result = await runCLI([
+      testPdfPath,
+      path.join(tempDir, 'big'),
+      '--max-input-bytes',
+      '1000',
+    ]);
+    assert.strictEqual(result.exitCode, 1);
+    assert(result.stderr.includes('PDF is over maxInputBytes (1000 bytes)'));
+    assert.deepStrictEqual(await fs.readdir(tempDir), []);
+  });
+
+  test('should fail long selections with --on-limit throw', async () => {
+    const result = await runCLI([
+      testPdfPath,
+      path.join(tempDir, 'long'),
+      '--max-pages',
+      '1',
+      '--on-limit',
+      'throw',
+    ]);
+    assert.strictEqual(result.exitCode, 1);
+    assert(result.stderr.includes('2 pages selected, over maxPages (1)'));
+  });
+
+  test('should cancel cleanly on SIGINT', async () => {
+    const child = spawn('node', [
+      CLI_PATH,
+      testPdfPath,
+      path.join(tempDir, 'cancelled'),
+      '--size',
+      '64',
+      '--dpi',
+      '1000',
+    ]);
+    let stderr = '';
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    // Long enough to be rendering, well before a 1000 DPI page is done
+    setTimeout(() => child.kill('SIGINT'), 1000);
+    const exitCode = await new Promise((resolve) => child.on('close', resolve));
+
+    assert.strictEqual(exitCode, 130);
+    assert(stderr.includes('Cancelled'));
+    assert.deepStrictEqual(await fs.readdir(tempDir), []);
+  });
+
+  describe('pages that fail to render', () => {
+    // pdf.js counts page 2 of 3 but cannot load it
+    const brokenPdfPath = path.join(__dirname, 'broken-page.pdf');
+    const run = (args) =>
+      runCLI([
+        brokenPdfPath,
+        path.join(tempDir, 'doc'),
+        '--size',
+        '64',
+        '--dpi',
+        '72',
+        ...args,
+      ]);
+
+    test('should write the other pages and exit with code 2', async () => {
+      const result = await run([]);
+      assert.strictEqual(result.exitCode, 2);
+      assert(result.stdout.includes('Wrote pages 1, 3'));
+      assert(result.stderr.includes('Page 2 failed (skipped)'));
+      assert(result.stderr.includes('[ERR_RENDER]'));
+      const files = (await fs.readdir(tempDir)).sort();
+      assert.deepStrictEqual(files, [
+        'doc-001.png',
+        'doc-001.txt',
+        'doc-003.png',
+        'doc-003.txt',
+      ]);
+    });
+
+    test('should write placeholders with --on-page-error placeholder', async () => {
+      const result = await run(['--on-page-error', 'placeholder']);
+      assert.strictEqual(result.exitCode, 2);
+      assert(result.stderr.includes('replaced by placeholders'));
+      const text = await fs.readFile(path.join(tempDir, 'doc-002.txt'), 'utf8');
+      assert.strictEqual(text, '');
+    });
+
+    test('should fail slow pages with --page-timeout', async () => {
+      const result = await run(['--pages', '1', '--page-timeout', '1']);
+      assert.strictEqual(result.exitCode, 1);
+      assert(result.stderr.includes('Timed out after 1 ms'));
+    });
+
+    test('should abort with --on-page-error throw', async () => {
+      const result = await run(['--on-page-error', 'throw']);
+      assert.strictEqual(result.exitCode, 1);
+      assert(result.stderr.includes('Failed to render page 2'));
+    });
+  });
+  describe('output names', () => {
+    const labelsPdfPath = path.join(__dirname, 'page-labels.pdf');
+    const run = (pdfPath, args) =>
+      runCLI([
+        pdfPath,
+        path.join(tempDir, 'doc'),
+        '--size',
+        '64',
+        '--dpi',
+        '72',
+        ...args,
+      ]);
+
+    test('should name files from --name-template tokens', async () => {
+      const result = await run(labelsPdfPath, [
+        '--name-template',
+        '{name}_{label}_{page:04}of{total}.{ext}',
+      ]);
+      assert.strictEqual(result.exitCode, 0);
+      const files = await fs.readdir(tempDir);
+      assert.deepStrictEqual(files.filter((f) => f.endsWith('.png')).sort(), [
+        'doc_A-1_0003of4.png',
+        'doc_A-2_0004of4.png',
+        'doc_i_0001of4.png',
+        'doc_ii_0002of4.png',
+      ]);
+    });
+
+    test('should append the extension and create subdirectories', async () => {
+      const result = await run(testPdfPath, [
+        '--name-template',
+        '{name}/{page}',
+        '--text-format',
+        'json',
+      ]);
+      assert.strictEqual(result.exitCode, 0);
+      const dir = path.join(tempDir, 'doc');
+      assert.deepStrictEqual((await fs.readdir(dir)).sort(), [
+        '001.json',
+        '001.png',
+        '002.json',
+        '002.png',
+      ]);
+      const json = JSON.parse(await fs.readFile(path.join(dir, '001.json')));
+      assert.strictEqual(json.image, '001.png');
+    });
+
+    test('should name tiles with {tile}', async () => {
+      const result = await run(testPdfPath, [
+        '--pages',
+        '1',
+        '--layout',
+        'tile',
+        '--name-template',
+        'p{page:1}-{tile:02}.{ext}',
+      ]);
+      assert.strictEqual(result.exitCode, 0);
+      assert((await fs.readdir(tempDir)).includes('p1-01.png'));
+    });
+
+    test('should reject templates that cannot tell pages apart', async () => {
+      for (const template of ['{name}.{ext}', '{name}-{pgae}', '{name:3}']) {
+        const result = await run(testPdfPath, ['--name-template', template]);
+        assert.strictEqual(result.exitCode, 1);
+        assert(result.stderr.includes('--name-template'));
+      }
+      const tiled = await run(testPdfPath, [
+        '--layout',
+        'tile',
+        '--name-template',
+        '{name}-{page}',
+      ]);
+      assert.strictEqual(tiled.exitCode, 1);
+      assert(tiled.stderr.includes('needs {tile}'));
+    });
+  });
+
+  describe('manifest and JSON output', () => {
+    const run = (args) =>
+      runCLI([
+        testPdfPath,
+        path.join(tempDir, 'doc'),
+        '--size',
+        '64',
+        '--dpi',
+        '72',
+        ...args,
+      ]);
+
+    test('should write a manifest of the files written', async () => {
+      const manifestPath = path.join(tempDir, 'manifest.json');
+      const result = await run(['--manifest', manifestPath]);
+      assert.strictEqual(result.exitCode, 0);
+
+      const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+      assert.strictEqual(manifest.options.size, 64);
+      assert(!('password' in manifest.options));
+      const [doc] = manifest.documents;
+      assert.strictEqual(doc.input, testPdfPath);
+      assert.strictEqual(doc.numPages, 2);
+      assert.strictEqual(typeof doc.info, 'object');
+      assert.deepStrictEqual(doc.errors, []);
+      assert.deepStrictEqual(doc.pages.map((p) => p.image), [
+        'doc-001.png',
+        'doc-002.png',
+      ]);
+      const [page] = doc.pages;
+      const image = await fs.readFile(path.join(tempDir, page.image));
+      assert.strictEqual(page.byteLength, image.length);
+      assert.strictEqual(
+        page.sha256,
+        createHash('sha256').update(image).digest('hex'),
+      );
+      assert.strictEqual(page.text, 'doc-001.txt');
+      assert.strictEqual(page.width, 64);
+      assert.strictEqual(typeof page.elapsedMs.done, 'number');
+    });
+
+    test('should print one JSON line per page with --ndjson', async () => {
+      const result = await run(['--ndjson']);
+      assert.strictEqual(result.exitCode, 0);
+      const lines = result.stdout.trim().split('\n').map((l) => JSON.parse(l));
+      assert.deepStrictEqual(lines.map((l) => l.pageNumber), [1, 2]);
+      assert.strictEqual(lines[0].input, testPdfPath);
+      assert.strictEqual(lines[0].image, path.join(tempDir, 'doc-001.png'));
+      assert.strictEqual(typeof lines[0].extractedText, 'string');
+    });
+
+    test('should print a JSON array with --json', async () => {
+      const result = await run(['--json', '--text-format', 'hocr']);
+      assert.strictEqual(result.exitCode, 0);
+      const pages = JSON.parse(result.stdout);
+      assert.strictEqual(pages.length, 2);
+      assert(Array.isArray(pages[0].textBoxes));
+    });
+
+    test('should reject --json with --ndjson', async () => {
+      const result = await run(['--json', '--ndjson']);
+      assert.strictEqual(result.exitCode, 1);
+      assert(result.stderr.includes('not both'));
+      assert.strictEqual(result.stdout, '');
+    });
+  });
+
+  describe('stdin and archives', () => {
+    const sizeArgs = ['--size', '64', '--dpi', '72'];
+
+    // Entry names and contents of a tar archive
+    const untar = (bytes) => {
+      const entries = {};
+      for (let at = 0; bytes[at] !== 0;) {
+        const name = bytes.subarray(at, at + 100).toString().split('\0')[0];
+        const size = parseInt(bytes.subarray(at + 124, at + 135), 8);
+        entries[name] = bytes.subarray(at + 512, at + 512 + size);
+        at += 512 + Math.ceil(size / 512) * 512;
+      }
+      return entries;
+    };
+
+    test('should convert a PDF from stdin into a tar on stdout', async () => {
+      const result = await runCLI(
+        ['-', '--archive', 'tar', ...sizeArgs],
+        {},
+        await fs.readFile(testPdfPath),
+      );
+      assert.strictEqual(result.exitCode, 0);
+      const entries = untar(result.stdoutBytes);
+      assert.deepStrictEqual(Object.keys(entries), [
+        'stdin-001.png',
+        'stdin-001.txt',
+        'stdin-002.png',
+        'stdin-002.txt',
+        'manifest.json',
+      ]);
+      const manifest = JSON.parse(entries['manifest.json']);
+      const [doc] = manifest.documents;
+      assert.strictEqual(doc.input, '-');
+      assert.strictEqual(doc.pages[0].image, 'stdin-001.png');
+      assert.strictEqual(
+        doc.pages[0].sha256,
+        createHash('sha256').update(entries['stdin-001.png']).digest('hex'),
+      );
+      assert.deepStrictEqual(await fs.readdir(tempDir), []);
+    });
+
+    test('should write loose files for stdin without --archive', async () => {
+      const result = await runCLI(
+        ['-', path.join(tempDir, 'piped'), '--pages', '1', ...sizeArgs],
+        {},
+        await fs.readFile(testPdfPath),
+      );
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual((await fs.readdir(tempDir)).sort(), [
+        'piped-001.png',
+        'piped-001.txt',
+      ]);
+    });
+
+    test('should write a zip archive to the output path', async () => {
+      const zipPath = path.join(tempDir, 'pages.zip');
+      const result = await runCLI([
+        testPdfPath,
+        zipPath,
+        '--archive',
+        'zip',
+        ...sizeArgs,
+      ]);
+      assert.strictEqual(result.exitCode, 0);
+      assert(result.stdout.includes(`→ ${zipPath}`));
+      const zip = await fs.readFile(zipPath);
+      // Five entries: two pages of image and text, and the manifest
+      assert.strictEqual(zip.readUInt16LE(zip.length - 12), 5);
+      assert.deepStrictEqual(await fs.readdir(tempDir), ['pages.zip']);
+    });
+
+    test('should fail cleanly when the archive cannot be written', async () => {
+      // A directory cannot be replaced by the archive file
+      const result = await runCLI([
+        testPdfPath,
+        tempDir,
+        '--archive',
+        'zip',
+        ...sizeArgs,
+      ]);
+      assert.strictEqual(result.exitCode, 1);
+      assert(result.stderr.includes('EISDIR'));
+      assert(!result.stderr.includes("Unhandled 'error' event"));
+      const siblings = await fs.readdir(path.dirname(tempDir));
+      assert(!siblings.some((file) => file.endsWith('.partial')));
+    });
+
+    test('should leave an existing archive alone when converting fails', async () => {
+      const junkPdf = path.join(tempDir, 'junk.pdf');
+      const zipPath = path.join(tempDir, 'pages.zip');
+      await fs.writeFile(junkPdf, 'not a pdf');
+      await fs.writeFile(zipPath, 'earlier archive');
+      const result = await runCLI([junkPdf, zipPath, '--archive', 'zip']);
+      assert.strictEqual(result.exitCode, 1);
+      assert.strictEqual(await fs.readFile(zipPath, 'utf8'), 'earlier archive');
+      assert.deepStrictEqual((await fs.readdir(tempDir)).sort(), [
+        'junk.pdf',
+        'pages.zip',
+      ]);
+    });
+
+    test('should refuse stdout output without --archive', async () => {
+      const result = await runCLI([testPdfPath, '-']);
+      assert.strictEqual(result.exitCode, 1);
+      assert(result.stderr.includes('needs --archive'));
+    });
+
+    test('should reject unknown archive formats', async () => {
+      const result = await runCLI([testPdfPath, '--archive', 'rar']);
+      assert.strictEqual(result.exitCode, 1);
+      assert(result.stderr.includes("Unknown --archive format 'rar'"));
+    });
+  });
+
+  describe('batch mode', () => {
+    const batchArgs = ['--max-pages', '1', '--size', '64', '--dpi', '72'];
+    const inputDir = path.join(tempDir, 'in');
+
+    beforeEach(async () => {
+      await fs.mkdir(path.join(inputDir, 'sub'), { recursive: true });
+      await fs.copyFile(testPdfPath, path.join(inputDir, 'a.pdf'));
+      await fs.copyFile(testPdfPath, path.join(inputDir, 'sub', 'b.pdf'));
+    });
+
+    test('should take a second argument that is a directory as the output prefix', async () => {
+      const result = await runCLI([
+        path.join(inputDir, 'a.pdf'),
+        path.join(inputDir, 'sub'),
+        ...batchArgs,
+      ]);
+      assert.strictEqual(result.exitCode, 0);
+      const written = await fs.readdir(inputDir);
+      assert(written.includes('sub-001.png'));
+      assert(!written.includes('a-001.png'));
+      assert(
+        !(await fs.readdir(path.join(inputDir, 'sub'))).includes('b-001.png'),
+      );
+
+      const dirInput = await runCLI([inputDir, 'out', ...batchArgs]);
+      assert.strictEqual(dirInput.exitCode, 1);
+      assert(dirInput.stderr.includes('use --out-dir'));
+    });
+
+    test('should convert several PDFs next to their inputs', async () => {
+      const result = await runCLI([
+        path.join(inputDir, 'a.pdf'),
+        path.join(inputDir, 'sub', 'b.pdf'),
+        ...batchArgs,
+      ]);
+      assert.strictEqual(result.exitCode, 0);
+      assert(result.stdout.includes('Converted 2 files'));
+      assert((await fs.readdir(inputDir)).includes('a-001.png'));
+      assert(
+        (await fs.readdir(path.join(inputDir, 'sub'))).includes('b-001.png'),
+      );
+    });
+
+    test('should mirror a directory tree under --out-dir with --recursive', async () => {
+      const outDir = path.join(tempDir, 'out');
+      const result = await runCLI([
+        inputDir,
+        '--recursive',
+        '--out-dir',
+        outDir,
+        ...batchArgs,
+      ]);
+      assert.strictEqual(result.exitCode, 0);
+      const files = await fs.readdir(outDir, { recursive: true });
+      assert.deepStrictEqual(files.sort(), [
+        'a-001.png',
+        'a-001.txt',
+        'sub',
+        path.join('sub', 'b-001.png'),
+        path.join('sub', 'b-001.txt'),
+      ]);
+    });
+
+    test('should only read the top directory without --recursive', async () => {
+      const outDir = path.join(tempDir, 'out');
+      const result = await runCLI([
+        inputDir,
+        '--out-dir',
+        outDir,
+        ...batchArgs,
+      ]);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual((await fs.readdir(outDir)).sort(), [
+        'a-001.png',
+        'a-001.txt',
+      ]);
+    });
+
+    test('should expand glob patterns', async () => {
+      const outDir = path.join(tempDir, 'out');
+      const result = await runCLI([
+        path.join(inputDir, '**', 'b.pdf'),
+        '--out-dir',
+        outDir,
+        ...batchArgs,
+      ]);
+      assert.strictEqual(result.exitCode, 0);
+      assert(
+        (await fs.readdir(path.join(outDir, 'sub'))).includes('b-001.png'),
+      );
+    });
+
+    test('should mirror the tree of files that share a basename', async () => {
+      const outDir = path.join(tempDir, 'out');
+      await fs.copyFile(testPdfPath, path.join(inputDir, 'sub', 'a.pdf'));
+      const result = await runCLI([
+        path.join(inputDir, 'a.pdf'),
+        path.join(inputDir, 'sub', 'a.pdf'),
+        '--out-dir',
+        outDir,
+        ...batchArgs,
+      ]);
+      assert.strictEqual(result.exitCode, 0);
+      const files = await fs.readdir(outDir, { recursive: true });
+      assert.deepStrictEqual(files.sort(), [
+        'a-001.png',
+        'a-001.txt',
+        'sub',
+        path.join('sub', 'a-001.png'),
+        path.join('sub', 'a-001.txt'),
+      ]);
+    });
+
+    test('should fail a file whose images another file already wrote', async () => {
+      const outDir = path.join(tempDir, 'out');
+      const otherDir = path.join(tempDir, 'other');
+      await fs.mkdir(otherDir);
+      await fs.copyFile(testPdfPath, path.join(otherDir, 'a.pdf'));
+      const result = await runCLI([
+        inputDir,
+        path.join(otherDir, 'a.pdf'),
+        '--out-dir',
+        outDir,
+        ...batchArgs,
+      ]);
+      assert.strictEqual(result.exitCode, 1);
+      assert(result.stderr.includes('is already an image of'));
+      assert(result.stderr.includes('Converted 1 of 2 files'));
+    });
+
+    test('should summarise failed files and exit with code 1', async () => {
+      await fs.writeFile(path.join(inputDir, 'bad.pdf'), 'not a pdf');
+      const result = await runCLI([inputDir, ...batchArgs]);
+      assert.strictEqual(result.exitCode, 1);
+      assert(result.stdout.includes('a.pdf: pages 1'));
+      assert(result.stderr.includes('bad.pdf: Invalid PDF structure'));
+      assert(result.stderr.includes('Converted 1 of 2 files; failed:'));
+      assert((await fs.readdir(inputDir)).includes('a-001.png'));
+    });
+
+    test('should fail when nothing matches', async () => {
+      const result = await runCLI([path.join(tempDir, '*.pdf'), ...batchArgs]);
+      assert.strictEqual(result.exitCode, 1);
+      assert(result.stderr.includes('No PDF files found'));
+    });
+  });
+
+  describe('serve', () => {
+    test('should serve conversions until Ctrl-C', async () => {
+      const child = spawn('node', [CLI_PATH, 'serve', '--port', '0']);
+      try {
+        let stdout = '';
+        const url = await new Promise((resolve, reject) => {
+          child.stdout.on('data', (data) => {
+            stdout += data;
+            const match = /http:\/\/\S+/.exec(stdout);
+            if (match) resolve(match[0]);
+          });
+          child.once('exit', () => reject(new Error('serve exited')));
+        });
+
+        assert.strictEqual((await fetch(`${url}/healthz`)).status, 200);
+        const response = await fetch(`${url}/convert?size=32`, {
+          method: 'POST',
+          body: await fs.readFile(testPdfPath),
+        });
+        assert.strictEqual(response.status, 200);
+        const { pages } = await response.json();
+        assert.deepStrictEqual(pages.map((p) => p.pageNumber), [1, 2]);
+      } finally {
+        const exited = new Promise((resolve) => child.once('exit', resolve));
+        child.kill('SIGINT');
+        assert.strictEqual(await exited, 0);
+      }
+    });
+  });
 });
@@ -6,9 +6,24 @@
 import { afterEach, beforeEach, describe, test } from 'node:test';
 import assert from 'node:assert';
 import fs from 'node:fs/promises';
+import { createReadStream } from 'node:fs';
 import path from 'node:path';
+import { Readable } from 'node:stream';
+import sharp from 'sharp';
 import { fileURLToPath } from 'node:url';
-import { convert } from '../lib.js';
+import {
+  convert,
+  convertIter,
+  createLimiter,
+  IncorrectPasswordError,
+  InvalidOptionError,
+  InvalidPdfError,
+  LimitExceededError,
+  openPdf,
+  PageRangeError,
+  PasswordRequiredError,
+  RenderError,
+} from '../lib.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -169,6 +184,38 @@ describe('concurrency handling', () => {
       });
     }
   });
+
+  test('should share one limiter across conversions', async () => {
+    const limit = createLimiter(1);
+    let active = 0;
+    let peak = 0;
+    const limiter = (fn) =>
+      limit(async () => {
+        peak = Math.max(peak, ++active);
+        try {
+          return await fn();
+        } finally {
+          active--;
+        }
+      });
+    const pdfPath = path.join(__dirname, 'example1.pdf');
+    const options = { size: 64, dpi: 72, concurrency: 4, limiter };
+    const [a, b] = await Promise.all([
+      convert(pdfPath, options),
+      convert(pdfPath, options),
+    ]);
+    assert.strictEqual(a.length, 2);
+    assert.strictEqual(b.length, 2);
+    assert.strictEqual(peak, 1);
+  });
+
+  test('should reject an invalid limiter', async () => {
+    await assert.rejects(
+      convert(path.join(__dirname, 'example1.pdf'), { limiter: 4 }),
+      InvalidOptionError,
+    );
+    assert.throws(() => createLimiter(0), InvalidOptionError);
+  });
 });
 
 describe('output format validation', () => {
@@ -543,3 +590,1482 @@ describe('Integration tests with real PDF', () => {
     }
   });
 });
+
+describe('In-memory and stream inputs', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+  const smallOptions = { maxPages: 1, size: 64, dpi: 72 };
+
+  const assertConverted = (results) => {
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].pageNumber, 1);
+    assert.strictEqual(results[0].originalPath, null);
+    assert(results[0].base64EncodedImage.startsWith('data:image/png;base64,'));
+    assert(results[0].extractedText.length > 0);
+  };
+
+  test('should accept a Buffer', async () => {
+    const buffer = await fs.readFile(testPdfPath);
+    assertConverted(await convert(buffer, smallOptions));
+  });
+
+  test('should accept a Uint8Array and leave it intact', async () => {
+    const buffer = await fs.readFile(testPdfPath);
+    const bytes = new Uint8Array(buffer);
+    assertConverted(await convert(bytes, smallOptions));
+    assert.strictEqual(bytes.byteLength, buffer.byteLength);
+  });
+
+  test('should accept an ArrayBuffer', async () => {
+    const buffer = await fs.readFile(testPdfPath);
+    const arrayBuffer = buffer.buffer.slice(
+      buffer.byteOffset,
+      buffer.byteOffset + buffer.byteLength,
+    );
+    assertConverted(await convert(arrayBuffer, smallOptions));
+  });
+
+  test('should accept a Node Readable stream', async () => {
+    assertConverted(
+      await convert(createReadStream(testPdfPath), smallOptions),
+    );
+  });
+
+  test('should accept a web ReadableStream', async () => {
+    const webStream = Readable.toWeb(createReadStream(testPdfPath));
+    assertConverted(await convert(webStream, smallOptions));
+  });
+
+  test('should reject unsupported input types', async () => {
+    await assert.rejects(convert(42), {
+      name: 'InvalidOptionError',
+      code: 'ERR_INVALID_OPTION',
+      option: 'input',
+      message: /file path, Buffer/,
+    });
+    await assert.rejects(convert(42), TypeError);
+  });
+});
+
+describe('Reusable document handle', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+
+  test('should export openPdf function', () => {
+    assert.strictEqual(typeof openPdf, 'function');
+  });
+
+  test('should render the same page at several sizes from one handle', async () => {
+    const doc = await openPdf(testPdfPath);
+    try {
+      assert.strictEqual(doc.numPages, 2);
+      assert(doc.originalPath.includes('example1.pdf'));
+
+      const thumb = await doc.renderPage(1, { size: 64, dpi: 72 });
+      const large = await doc.renderPage(1, {
+        size: 256,
+        dpi: 150,
+        format: 'jpg',
+      });
+
+      assert.strictEqual(thumb.pageNumber, 1);
+      assert(thumb.base64EncodedImage.startsWith('data:image/png;base64,'));
+      assert(large.base64EncodedImage.startsWith('data:image/jpeg;base64,'));
+      assert.strictEqual(thumb.extractedText, large.extractedText);
+    } finally {
+      await doc.close();
+    }
+  });
+
+  test('should honour changes to a reused options object', async () => {
+    const doc = await openPdf(testPdfPath);
+    try {
+      const options = { size: 64, dpi: 72 };
+      const small = await doc.renderPage(1, options);
+      options.size = 96;
+      const larger = await doc.renderPage(1, options);
+      assert.strictEqual(small.width, 64);
+      assert.strictEqual(larger.width, 96);
+    } finally {
+      await doc.close();
+    }
+  });
+
+  test('should expose the page labels of the document', async () => {
+    // Roman front matter, then appendix pages A-1, A-2
+    const labelled = await convert(path.join(__dirname, 'page-labels.pdf'), {
+      size: 64,
+      dpi: 72,
+    });
+    assert.deepStrictEqual(labelled.map((p) => p.pageLabel), [
+      'i',
+      'ii',
+      'A-1',
+      'A-2',
+    ]);
+
+    const doc = await openPdf(testPdfPath);
+    try {
+      assert.strictEqual(doc.pageLabels, null);
+      const page = await doc.renderPage(1, { size: 64, dpi: 72 });
+      assert.strictEqual(page.pageLabel, null);
+    } finally {
+      await doc.close();
+    }
+  });
+
+  test('should extract text and metadata', async () => {
+    const doc = await openPdf(testPdfPath);
+    try {
+      const text = await doc.extractText(1);
+      assert(text.includes('Sustainable Growth Brief'));
+
+      const meta = await doc.getMetadata();
+      assert.strictEqual(typeof meta.info, 'object');
+      assert('PDFFormatVersion' in meta.info);
+    } finally {
+      await doc.close();
+    }
+  });
+
+  test('should reject out-of-range page numbers', async () => {
+    const doc = await openPdf(testPdfPath);
+    try {
+      await assert.rejects(doc.renderPage(3), RangeError);
+      await assert.rejects(doc.extractText(0), RangeError);
+    } finally {
+      await doc.close();
+    }
+  });
+
+  test('should convert a handle and leave it open', async () => {
+    const doc = await openPdf(testPdfPath);
+    try {
+      const pages = await convert(doc, { size: 64, dpi: 72 });
+      assert.deepStrictEqual(pages.map((p) => p.pageNumber), [1, 2]);
+      assert(pages[0].originalPath.includes('example1.pdf'));
+
+      const iterated = [];
+      for await (const page of convertIter(doc, { size: 64, dpi: 72 })) {
+        iterated.push(page.pageNumber);
+        break;
+      }
+      assert.deepStrictEqual(iterated, [1]);
+      const page = await doc.renderPage(2, { size: 64, dpi: 72 });
+      assert.strictEqual(page.pageNumber, 2);
+    } finally {
+      await doc.close();
+    }
+  });
+
+  test('should reject a render in progress when closed', async () => {
+    const doc = await openPdf(testPdfPath);
+    const rendering = doc.renderPage(1, { size: 896, dpi: 600 });
+    // Well into drawing the page, which takes about a second at this dpi
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    await doc.close();
+    await assert.rejects(rendering, {
+      name: 'DocumentClosedError',
+      code: 'ERR_DOCUMENT_CLOSED',
+    });
+  });
+
+  test('should refuse to render after close', async () => {
+    const doc = await openPdf(testPdfPath);
+    await doc.close();
+    await doc.close(); // idempotent
+    await assert.rejects(doc.renderPage(1), {
+      code: 'ERR_DOCUMENT_CLOSED',
+      message: /has been closed/,
+    });
+  });
+});
+
+describe('Streaming iterator output', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+
+  test('should yield pages in page order', async () => {
+    const pages = [];
+    for await (
+      const page of convertIter(testPdfPath, {
+        size: 64,
+        dpi: 72,
+        concurrency: 2,
+      })
+    ) {
+      pages.push(page);
+    }
+
+    assert.deepStrictEqual(pages.map((p) => p.pageNumber), [1, 2]);
+    for (const page of pages) {
+      assert(page.base64EncodedImage.startsWith('data:image/png;base64,'));
+      assert.strictEqual(typeof page.extractedText, 'string');
+    }
+  });
+
+  test('should match convert() output', async () => {
+    const options = { size: 64, dpi: 72, maxPages: 2 };
+    const collected = [];
+    for await (const page of convertIter(testPdfPath, options)) {
+      collected.push(page);
+    }
+    assert.deepStrictEqual(collected, await convert(testPdfPath, options));
+  });
+
+  test('should stop cleanly when the consumer breaks early', async () => {
+    const seen = [];
+    for await (
+      const page of convertIter(testPdfPath, {
+        size: 64,
+        dpi: 72,
+        concurrency: 1,
+      })
+    ) {
+      seen.push(page.pageNumber);
+      break;
+    }
+    assert.deepStrictEqual(seen, [1]);
+  });
+
+  test('should reject invalid input before yielding', async () => {
+    const iterator = convertIter('/non/existent/path/file.pdf');
+    await assert.rejects(iterator.next(), { code: 'ENOENT' });
+  });
+});
+
+describe('Page selection', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+  const selectedPages = async (pages) => {
+    const results = await convert(testPdfPath, { pages, size: 32, dpi: 36 });
+    return results.map((r) => r.pageNumber);
+  };
+
+  test('should select every page with "all"', async () => {
+    assert.deepStrictEqual(await selectedPages('all'), [1, 2]);
+  });
+
+  test('should ignore first/maxPages when pages is set', async () => {
+    const results = await convert(testPdfPath, {
+      pages: '*',
+      first: 2,
+      maxPages: 1,
+      size: 32,
+      dpi: 36,
+    });
+    assert.deepStrictEqual(results.map((r) => r.pageNumber), [1, 2]);
+  });
+
+  test('should support ranges, open ranges and negative pages', async () => {
+    assert.deepStrictEqual(await selectedPages('1-2'), [1, 2]);
+    assert.deepStrictEqual(await selectedPages('2-'), [2]);
+    assert.deepStrictEqual(await selectedPages('-1'), [2]);
+    assert.deepStrictEqual(await selectedPages('2, 1'), [1, 2]);
+  });
+
+  test('should support first/last/odd/even keywords', async () => {
+    assert.deepStrictEqual(await selectedPages('last 1'), [2]);
+    assert.deepStrictEqual(await selectedPages('first 5'), [1, 2]);
+    assert.deepStrictEqual(await selectedPages('odd'), [1]);
+    assert.deepStrictEqual(await selectedPages('EVEN'), [2]);
+  });
+
+  test('should accept and de-duplicate page number arrays', async () => {
+    assert.deepStrictEqual(await selectedPages([2, 1, -1]), [1, 2]);
+  });
+
+  test('should reject out-of-range pages', async () => {
+    await assert.rejects(convert(testPdfPath, { pages: '3' }), {
+      name: 'PageRangeError',
+      code: 'ERR_PAGE_RANGE',
+      message: 'Page 3 is out of range (document has 2 pages).',
+    });
+    await assert.rejects(convert(testPdfPath, { pages: [0] }), RangeError);
+    await assert.rejects(convert(testPdfPath, { pages: '1-5' }), RangeError);
+    await assert.rejects(convert(testPdfPath, { pages: '2-1' }), RangeError);
+  });
+
+  test('should reject malformed specs', async () => {
+    await assert.rejects(convert(testPdfPath, { pages: '1,,2' }), {
+      message: /Invalid page selection ""/,
+    });
+    await assert.rejects(convert(testPdfPath, { pages: 'some' }), {
+      message: /Invalid page selection "some"/,
+    });
+    await assert.rejects(convert(testPdfPath, { pages: [] }), {
+      message: /No pages to convert/,
+    });
+  });
+});
+
+describe('Image output modes', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+  const smallOptions = { maxPages: 1, size: 64, dpi: 72 };
+
+  test('should default to data URIs with image details', async () => {
+    const [page] = await convert(testPdfPath, smallOptions);
+    assert(page.base64EncodedImage.startsWith('data:image/png;base64,'));
+    assert.strictEqual(page.image, undefined);
+    assert.strictEqual(page.mimeType, 'image/png');
+    assert.strictEqual(page.width, 64);
+    assert.strictEqual(page.height, 64);
+    const base64 = page.base64EncodedImage.split(',')[1];
+    assert.strictEqual(
+      page.byteLength,
+      Buffer.from(base64, 'base64').length,
+    );
+  });
+
+  test('should return bare base64 with output "base64"', async () => {
+    const [page] = await convert(testPdfPath, {
+      ...smallOptions,
+      format: 'jpg',
+      output: 'base64',
+    });
+    assert(!page.base64EncodedImage.startsWith('data:'));
+    assert.strictEqual(page.mimeType, 'image/jpeg');
+    const bytes = Buffer.from(page.base64EncodedImage, 'base64');
+    assert.strictEqual(bytes.length, page.byteLength);
+    // JPEG SOI marker
+    assert.strictEqual(bytes.readUInt16BE(0), 0xffd8);
+  });
+
+  test('should return a Buffer with output "buffer"', async () => {
+    const [page] = await convert(testPdfPath, {
+      ...smallOptions,
+      output: 'buffer',
+    });
+    assert(Buffer.isBuffer(page.image));
+    assert.strictEqual(page.base64EncodedImage, undefined);
+    assert.strictEqual(page.byteLength, page.image.length);
+    // PNG signature
+    assert.strictEqual(page.image.toString('latin1', 1, 4), 'PNG');
+  });
+
+  test('should reject unknown output modes', async () => {
+    await assert.rejects(
+      convert(testPdfPath, { ...smallOptions, output: 'file' }),
+      { code: 'ERR_INVALID_OPTION', option: 'output' },
+    );
+  });
+});
+
+describe('Additional formats and encoder options', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+  const renderOne = async (options) => {
+    const [page] = await convert(testPdfPath, {
+      maxPages: 1,
+      size: 64,
+      dpi: 72,
+      output: 'buffer',
+      ...options,
+    });
+    return page;
+  };
+
+  for (
+    const [format, mimeType, sharpFormat] of [
+      ['webp', 'image/webp', 'webp'],
+      ['avif', 'image/avif', 'heif'],
+      ['tiff', 'image/tiff', 'tiff'],
+      ['tif', 'image/tiff', 'tiff'],
+    ]
+  ) {
+    test(`should encode ${format}`, async () => {
+      const page = await renderOne({ format });
+      assert.strictEqual(page.mimeType, mimeType);
+      const meta = await sharp(page.image).metadata();
+      assert.strictEqual(meta.format, sharpFormat);
+      assert.strictEqual(meta.width, 64);
+      assert.strictEqual(meta.height, 64);
+    });
+  }
+
+  test('should keep transparency for webp', async () => {
+    const page = await renderOne({ format: 'webp', bg: 'transparent' });
+    const meta = await sharp(page.image).metadata();
+    assert.strictEqual(meta.hasAlpha, true);
+  });
+
+  test('should drop background alpha for jpeg', async () => {
+    const page = await renderOne({ format: 'jpg', bg: '#ff000000' });
+    const meta = await sharp(page.image).metadata();
+    assert.strictEqual(meta.hasAlpha, false);
+  });
+
+  test('should apply encoder quality', async () => {
+    const low = await renderOne({ format: 'webp', encoder: { quality: 5 } });
+    const high = await renderOne({
+      format: 'webp',
+      encoder: { quality: 100 },
+    });
+    assert(low.byteLength < high.byteLength);
+  });
+
+  test('should produce palette PNGs', async () => {
+    const page = await renderOne({ encoder: { palette: true } });
+    const meta = await sharp(page.image).metadata();
+    assert.strictEqual(meta.paletteBitDepth, 8);
+  });
+
+  test('should reject invalid encoder options', async () => {
+    await assert.rejects(renderOne({ encoder: { quality: 0 } }), {
+      option: 'encoder.quality',
+      message: 'encoder.quality must be an integer between 1 and 100 (got 0)',
+    });
+    await assert.rejects(
+      renderOne({ format: 'webp', encoder: { effort: 7 } }),
+      { message: /effort must be an integer between 0 and 6/ },
+    );
+    await assert.rejects(
+      renderOne({ format: 'jpg', encoder: { chromaSubsampling: '4:2:2' } }),
+      { message: /chromaSubsampling/ },
+    );
+  });
+
+  test('should reject unknown formats', async () => {
+    await assert.rejects(renderOne({ format: 'gif' }), {
+      code: 'ERR_INVALID_OPTION',
+      option: 'format',
+      message: /format must be/,
+    });
+  });
+});
+
+describe('Tile layout', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+  const tileOptions = { pages: '1', size: 64, dpi: 72, layout: 'tile' };
+
+  test('should split a tall page into overlapping square tiles', async () => {
+    const tiles = await convert(testPdfPath, tileOptions);
+
+    // A4 portrait is ~1.41:1, so two tiles cover it with the default overlap
+    assert.strictEqual(tiles.length, 2);
+    tiles.forEach((tile, i) => {
+      assert.strictEqual(tile.pageNumber, 1);
+      assert.strictEqual(tile.tileIndex, i);
+      assert.strictEqual(tile.tileCount, 2);
+      assert.strictEqual(tile.width, 64);
+      assert.strictEqual(tile.height, 64);
+    });
+
+    const [top, bottom] = tiles.map((t) => t.sourceRect);
+    // Tiles span the full page width and are square in PDF space
+    for (const rect of [top, bottom]) {
+      assert(Math.abs(rect.x) < 2);
+      assert(Math.abs(rect.width - 595) < 2);
+      assert(Math.abs(rect.height - rect.width) < 2);
+    }
+    // First tile is the top of the page (PDF y grows upwards), and they overlap
+    assert(top.y > bottom.y);
+    assert(bottom.y + bottom.height > top.y);
+  });
+
+  test('should split page text between tiles', async () => {
+    const [top, bottom] = await convert(testPdfPath, tileOptions);
+    assert(top.extractedText.includes('Sustainable Growth Brief'));
+    assert(!bottom.extractedText.includes('Sustainable Growth Brief'));
+  });
+
+  test('should cap tiles with maxTiles', async () => {
+    const tiles = await convert(testPdfPath, { ...tileOptions, maxTiles: 1 });
+    assert.strictEqual(tiles.length, 1);
+    assert(tiles[0].sourceRect.height > 800);
+  });
+
+  test('should yield tiles from convertIter in order', async () => {
+    const seen = [];
+    for await (
+      const tile of convertIter(testPdfPath, { ...tileOptions, pages: 'all' })
+    ) {
+      seen.push(`${tile.pageNumber}.${tile.tileIndex}`);
+    }
+    assert.deepStrictEqual(seen, ['1.0', '1.1', '2.0', '2.1']);
+  });
+
+  test('should reject renderPage() for layout tile', async () => {
+    const doc = await openPdf(testPdfPath);
+    try {
+      await assert.rejects(doc.renderPage(1, tileOptions), /renderTiles/);
+      const tiles = await doc.renderTiles(1, tileOptions);
+      assert.strictEqual(tiles.length, 2);
+    } finally {
+      await doc.close();
+    }
+  });
+
+  test('should validate tile options', async () => {
+    await assert.rejects(
+      convert(testPdfPath, { ...tileOptions, tileOverlap: 1 }),
+      /tileOverlap/,
+    );
+    await assert.rejects(
+      convert(testPdfPath, { ...tileOptions, maxTiles: 0 }),
+      /maxTiles/,
+    );
+    await assert.rejects(
+      convert(testPdfPath, { ...tileOptions, layout: 'grid' }),
+      { option: 'layout' },
+    );
+  });
+});
+
+describe('Fit modes, trimming and placement', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+  const renderOne = async (options) => {
+    const [page] = await convert(testPdfPath, {
+      pages: '1',
+      size: 100,
+      dpi: 72,
+      output: 'buffer',
+      ...options,
+    });
+    return page;
+  };
+  const pixel = async (image, x, y) => {
+    const { data, info } = await sharp(image)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const i = (y * info.width + x) * info.channels;
+    return [...data.subarray(i, i + 3)];
+  };
+
+  test('should letterbox and center by default', async () => {
+    const page = await renderOne({});
+    const { placement, sourceRect } = page;
+    // A4 portrait: full height, centered horizontally
+    assert.strictEqual(placement.y, 0);
+    assert.strictEqual(placement.height, 100);
+    assert(placement.width < 100);
+    assert(Math.abs(placement.x * 2 + placement.width - 100) <= 1);
+    assert(Math.abs(sourceRect.width - 595) < 2);
+    assert(Math.abs(sourceRect.height - 842) < 2);
+  });
+
+  test('should place the page per position', async () => {
+    const page = await renderOne({ position: 'left', bg: '#ff0000' });
+    assert.strictEqual(page.placement.x, 0);
+    assert.deepStrictEqual(await pixel(page.image, 99, 50), [255, 0, 0]);
+    assert.deepStrictEqual(await pixel(page.image, 0, 50), [255, 255, 255]);
+  });
+
+  test('should fill the square with fit cover', async () => {
+    const centered = await renderOne({ fit: 'cover', bg: '#ff0000' });
+    assert.strictEqual(centered.width, 100);
+    assert.strictEqual(centered.placement.width, 100);
+    assert(centered.placement.height > 100);
+    assert(centered.placement.y < 0);
+    // No letterbox background anywhere
+    assert.deepStrictEqual(await pixel(centered.image, 99, 50), [
+      255,
+      255,
+      255,
+    ]);
+
+    const top = await renderOne({ fit: 'cover', position: 'top' });
+    assert.strictEqual(top.placement.y, 0);
+  });
+
+  test('should trim blank margins', async () => {
+    const full = await renderOne({});
+    const trimmed = await renderOne({ trim: true });
+    assert(trimmed.sourceRect.width < full.sourceRect.width);
+    assert(trimmed.sourceRect.height < full.sourceRect.height);
+    assert(trimmed.sourceRect.x > 0);
+    // The trimmed content fills more of the square
+    assert(trimmed.placement.width > full.placement.width * 0.9);
+    assert.strictEqual(trimmed.placement.height, 100);
+  });
+
+  test('should validate fit and position', async () => {
+    await assert.rejects(renderOne({ fit: 'fill' }), { option: 'fit' });
+    await assert.rejects(renderOne({ position: 'middle' }), {
+      option: 'position',
+      message: /position must be one of: center, top/,
+    });
+  });
+});
+
+describe('Text extraction modes', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+  const textOf = async (options) => {
+    const [page] = await convert(testPdfPath, {
+      pages: '2',
+      size: 50,
+      dpi: 36,
+      ...options,
+    });
+    return page.extractedText;
+  };
+
+  test('should default to raw text', async () => {
+    assert.strictEqual(await textOf({}), await textOf({ textMode: 'raw' }));
+  });
+
+  test('should rebuild lines with spaces', async () => {
+    const text = await textOf({ textMode: 'lines' });
+    assert(text.includes('Notes from the Field'));
+    assert(!/^\s*$/m.test(text), 'lines mode has no blank lines');
+  });
+
+  test('should read columns in order in layout mode', async () => {
+    const text = await textOf({ textMode: 'layout' });
+    const left = text.indexOf('3) Write decisions down.');
+    const right = text.indexOf('Allocation Snapshot');
+    assert(left !== -1 && right !== -1);
+    // The whole left column comes before the right one
+    assert(left < right);
+    assert(text.includes('\n\n'));
+  });
+
+  test('should accept textMode in extractText()', async () => {
+    const doc = await openPdf(testPdfPath);
+    try {
+      assert.strictEqual(
+        await doc.extractText(2, { textMode: 'layout' }),
+        await textOf({ textMode: 'layout' }),
+      );
+      assert.strictEqual(await doc.extractText(2), await textOf({}));
+    } finally {
+      await doc.close();
+    }
+  });
+
+  test('should reject unknown text modes', async () => {
+    await assert.rejects(textOf({ textMode: 'prose' }), /textMode must be/);
+  });
+});
+
+describe('Text boxes', () => {
+  const testPdfPath = path.join(
+    __dirname,
+    'hairgrowth_machine_brochure_overdrive.pdf',
+  );
+  const renderOne = async (options) => {
+    const [page] = await convert(testPdfPath, {
+      pages: '1',
+      size: 200,
+      dpi: 72,
+      textBoxes: true,
+      ...options,
+    });
+    return page;
+  };
+
+  test('should omit textBoxes unless requested', async () => {
+    const page = await renderOne({ textBoxes: false });
+    assert.strictEqual(page.textBoxes, undefined);
+  });
+
+  test('should return word boxes inside the image', async () => {
+    const page = await renderOne({});
+    const words = page.textBoxes;
+    assert(words.length > 50);
+    const title = words.slice(0, 3).map((w) => w.text);
+    assert.deepStrictEqual(title, ['The', 'Hairgrowth', 'Machine™']);
+    assert.strictEqual(words[0].fontName, 'Helvetica-Bold');
+    assert.strictEqual(words[0].fontSize, 30);
+    assert.strictEqual(words[0].line, 0);
+    for (const box of words) {
+      assert(box.width > 0 && box.height > 0, box.text);
+      // Letter page letterboxed: boxes stay inside the placed page
+      assert(box.x >= page.placement.x, box.text);
+      assert(box.x + box.width <= page.placement.x + page.placement.width);
+      assert(box.y + box.height <= 200);
+    }
+    // Words of one line run left to right on the same row
+    const [the, hair] = words;
+    assert(the.x + the.width <= hair.x);
+    assert.strictEqual(the.y, hair.y);
+  });
+
+  test('should return line boxes', async () => {
+    const page = await renderOne({ textBoxes: 'lines' });
+    assert.strictEqual(page.textBoxes[0].text, 'The Hairgrowth Machine™');
+    const lines = page.textBoxes.map((box) => box.line);
+    assert.deepStrictEqual(lines, [...new Set(lines)]);
+  });
+
+  test('should follow trimming and placement', async () => {
+    const plain = await renderOne({});
+    const trimmed = await renderOne({ trim: true, position: 'top' });
+    // Trimming enlarges the content, so the title gets wider
+    assert(trimmed.textBoxes[1].width > plain.textBoxes[1].width);
+    assert(trimmed.textBoxes[0].y < plain.textBoxes[0].y);
+  });
+
+  test('should drop words cropped away by fit cover', async () => {
+    const full = await renderOne({});
+    const cropped = await renderOne({ fit: 'cover' });
+    assert(cropped.textBoxes.length < full.textBoxes.length);
+    for (const box of cropped.textBoxes) {
+      assert(box.x >= 0 && box.y >= 0);
+      assert(box.x + box.width <= 200 && box.y + box.height <= 200);
+    }
+  });
+
+  test('should split boxes between tiles', async () => {
+    const tiles = await convert(testPdfPath, {
+      pages: '1',
+      size: 200,
+      dpi: 72,
+      layout: 'tile',
+      textBoxes: true,
+    });
+    const [full] = await convert(testPdfPath, {
+      pages: '1',
+      size: 200,
+      dpi: 72,
+      textBoxes: true,
+    });
+    const tiled = tiles.flatMap((tile) => tile.textBoxes);
+    // Words in the overlap are reported by both tiles
+    assert(tiled.length >= full.textBoxes.length);
+    assert(tiles.every((tile) => tile.textBoxes.length > 0));
+  });
+
+  test('should validate textBoxes', async () => {
+    await assert.rejects(renderOne({ textBoxes: 'glyphs' }), /textBoxes must/);
+  });
+});
+
+describe('Encrypted PDFs', () => {
+  // RC4-encrypted; user password 'secret', owner password 'owner-secret'
+  const encryptedPdfPath = path.join(__dirname, 'encrypted.pdf');
+  const smallOptions = { size: 64, dpi: 72 };
+
+  test('should require a password', async () => {
+    await assert.rejects(
+      convert(encryptedPdfPath, smallOptions),
+      (err) => {
+        assert(err instanceof PasswordRequiredError);
+        assert.strictEqual(err.name, 'PasswordRequiredError');
+        return true;
+      },
+    );
+  });
+
+  test('should reject a wrong password', async () => {
+    await assert.rejects(
+      convert(encryptedPdfPath, { ...smallOptions, password: 'nope' }),
+      IncorrectPasswordError,
+    );
+  });
+
+  test('should convert with the user or owner password', async () => {
+    for (const password of ['secret', 'owner-secret']) {
+      const [page] = await convert(encryptedPdfPath, {
+        ...smallOptions,
+        password,
+      });
+      assert.strictEqual(page.extractedText, 'Secret page');
+    }
+  });
+
+  test('should accept a password in openPdf() and convertIter()', async () => {
+    const doc = await openPdf(encryptedPdfPath, { password: 'secret' });
+    try {
+      assert.strictEqual(await doc.extractText(1), 'Secret page');
+    } finally {
+      await doc.close();
+    }
+    await assert.rejects(openPdf(encryptedPdfPath), PasswordRequiredError);
+
+    const pages = [];
+    for await (
+      const page of convertIter(encryptedPdfPath, {
+        ...smallOptions,
+        password: 'secret',
+      })
+    ) {
+      pages.push(page.pageNumber);
+    }
+    assert.deepStrictEqual(pages, [1]);
+  });
+});
+
+describe('Error types and option validation', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+  const smallOptions = { pages: '1', size: 64, dpi: 72 };
+
+  test('should reject invalid options before reading the PDF', async () => {
+    const cases = [
+      [{ size: NaN }, 'size', 'size must be a positive integer (got NaN)'],
+      [{ size: 10.5 }, 'size', /got 10\.5/],
+      [
+        { dpi: 0 },
+        'dpi',
+        "dpi must be a positive number or 'auto' (got 0)",
+      ],
+      [{ dpi: '300' }, 'dpi', /got "300"/],
+      [{ concurrency: -1 }, 'concurrency', /positive integer/],
+      [{ first: 'x' }, 'first', /got "x"/],
+      [{ maxPages: 0 }, 'maxPages', /positive integer/],
+      [{ pages: 3 }, 'pages', /page spec string or an array/],
+      [{ password: 1234 }, 'password', /must be a string/],
+      [{ bg: 'red' }, 'bg', /Invalid background color "red"/],
+    ];
+    for (const [options, option, message] of cases) {
+      // The file does not exist: validation must fail first
+      await assert.rejects(convert('./missing.pdf', options), (err) => {
+        assert(err instanceof InvalidOptionError, option);
+        assert.strictEqual(err.code, 'ERR_INVALID_OPTION');
+        assert.strictEqual(err.option, option);
+        if (typeof message === 'string') {
+          assert.strictEqual(err.message, message);
+        } else {
+          assert.match(err.message, message);
+        }
+        return true;
+      });
+    }
+    await assert.rejects(
+      convertIter('./missing.pdf', { size: 0 }).next(),
+      InvalidOptionError,
+    );
+  });
+
+  test('should treat options given as undefined as not set', async () => {
+    const query = {};
+    const [page] = await convert(testPdfPath, {
+      ...smallOptions,
+      size: query.size,
+      format: query.format,
+      bg: query.bg,
+      layout: query.layout,
+    });
+    assert.strictEqual(page.width, 896);
+    assert.strictEqual(page.mimeType, 'image/png');
+
+    const doc = await openPdf(testPdfPath);
+    try {
+      const rendered = await doc.renderPage(1, { size: 64, dpi: undefined });
+      assert.strictEqual(rendered.width, 64);
+    } finally {
+      await doc.close();
+    }
+  });
+
+  test('should raise InvalidPdfError for unreadable documents', async () => {
+    for (const input of [Buffer.from('not a pdf'), Buffer.alloc(0)]) {
+      await assert.rejects(convert(input), (err) => {
+        assert(err instanceof InvalidPdfError);
+        assert.strictEqual(err.code, 'ERR_INVALID_PDF');
+        assert(err.cause, 'keeps the pdf.js error as cause');
+        return true;
+      });
+    }
+  });
+
+  test('should raise PageRangeError for pages outside the document', async () => {
+    await assert.rejects(
+      convert(testPdfPath, { ...smallOptions, pages: undefined, first: 5 }),
+      { code: 'ERR_PAGE_RANGE', message: /document has 2 pages/ },
+    );
+    await assert.rejects(
+      convert(testPdfPath, { ...smallOptions, pages: 'last 0' }),
+      PageRangeError,
+    );
+    const doc = await openPdf(testPdfPath);
+    try {
+      await assert.rejects(doc.extractText(3), PageRangeError);
+    } finally {
+      await doc.close();
+    }
+  });
+
+  test('should wrap page failures in RenderError', async () => {
+    // Larger than JPEG allows; fails when encoding, before any pixels exist
+    await assert.rejects(
+      convert(testPdfPath, { ...smallOptions, size: 70000, format: 'jpg' }),
+      (err) => {
+        assert(err instanceof RenderError);
+        assert.strictEqual(err.code, 'ERR_RENDER');
+        assert.strictEqual(err.pageNumber, 1);
+        assert.match(err.message, /^Failed to render page 1: /);
+        assert(err.cause instanceof Error);
+        return true;
+      },
+    );
+  });
+
+  test('should give password errors codes', async () => {
+    const encryptedPdfPath = path.join(__dirname, 'encrypted.pdf');
+    await assert.rejects(convert(encryptedPdfPath), {
+      code: 'ERR_PASSWORD_REQUIRED',
+    });
+    await assert.rejects(convert(encryptedPdfPath, { password: 'x' }), {
+      code: 'ERR_INCORRECT_PASSWORD',
+    });
+  });
+});
+
+describe('Page error isolation', () => {
+  // pdf.js counts page 2 of 3 but cannot load it
+  const brokenPdfPath = path.join(__dirname, 'broken-page.pdf');
+  const smallOptions = { size: 64, dpi: 72 };
+
+  test('should reject on the first failed page by default', async () => {
+    await assert.rejects(convert(brokenPdfPath, smallOptions), {
+      name: 'RenderError',
+      pageNumber: 2,
+    });
+  });
+
+  test('should leave failed pages out with skip', async () => {
+    const results = await convert(brokenPdfPath, {
+      ...smallOptions,
+      onPageError: 'skip',
+    });
+    assert.deepStrictEqual(results.map((r) => r.pageNumber), [1, 3]);
+    assert.strictEqual(results[1].extractedText, 'Page three');
+    assert.strictEqual(results.errors.length, 1);
+    assert.strictEqual(results.errors[0].pageNumber, 2);
+    assert.strictEqual(results.errors[0].code, 'ERR_RENDER');
+    assert.match(results.errors[0].message, /^Failed to render page 2: /);
+  });
+
+  test('should stand in a blank square with placeholder', async () => {
+    const results = await convert(brokenPdfPath, {
+      ...smallOptions,
+      onPageError: 'placeholder',
+      format: 'jpg',
+      output: 'buffer',
+      textBoxes: true,
+    });
+    assert.deepStrictEqual(results.map((r) => r.pageNumber), [1, 2, 3]);
+    const placeholder = results[1];
+    assert.deepStrictEqual(placeholder.error, results.errors[0]);
+    assert.strictEqual(placeholder.extractedText, '');
+    assert.deepStrictEqual(placeholder.textBoxes, []);
+    assert.strictEqual(placeholder.mimeType, 'image/jpeg');
+    const { width, height } = await sharp(placeholder.image).metadata();
+    assert.deepStrictEqual([width, height], [64, 64]);
+    assert.strictEqual(results[0].error, undefined);
+  });
+
+  test('should return errors from convertIter', async () => {
+    const iterator = convertIter(brokenPdfPath, {
+      ...smallOptions,
+      onPageError: 'skip',
+    });
+    const pageNumbers = [];
+    let step;
+    while (!(step = await iterator.next()).done) {
+      pageNumbers.push(step.value.pageNumber);
+    }
+    assert.deepStrictEqual(pageNumbers, [1, 3]);
+    assert.deepStrictEqual(step.value.map((e) => e.pageNumber), [2]);
+  });
+
+  test('should report no errors when every page renders', async () => {
+    const results = await convert(path.join(__dirname, 'example1.pdf'), {
+      ...smallOptions,
+      pages: '1',
+      onPageError: 'skip',
+    });
+    assert.deepStrictEqual(results.errors, []);
+  });
+
+  test('should validate onPageError', async () => {
+    await assert.rejects(
+      convert(brokenPdfPath, { onPageError: 'ignore' }),
+      { code: 'ERR_INVALID_OPTION', option: 'onPageError' },
+    );
+  });
+});
+
+describe('Cancellation and page timeouts', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+
+  test('should reject with the abort reason mid-conversion', async () => {
+    const controller = new AbortController();
+    // The default 700 DPI keeps page 1 busy well past the abort
+    const started = Date.now();
+    const conversion = convert(testPdfPath, {
+      size: 64,
+      signal: controller.signal,
+    });
+    setTimeout(() => controller.abort(), 100);
+    await assert.rejects(conversion, { name: 'AbortError' });
+    assert(Date.now() - started < 2000, 'render was cancelled');
+  });
+
+  test('should not start when the signal has already fired', async () => {
+    const reason = new Error('stop');
+    await assert.rejects(
+      convert(testPdfPath, { signal: AbortSignal.abort(reason) }),
+      (err) => err === reason,
+    );
+  });
+
+  test('should stop convertIter between pages', async () => {
+    const controller = new AbortController();
+    const seen = [];
+    await assert.rejects(async () => {
+      for await (
+        const page of convertIter(testPdfPath, {
+          size: 64,
+          dpi: 72,
+          concurrency: 1,
+          signal: controller.signal,
+        })
+      ) {
+        seen.push(page.pageNumber);
+        controller.abort();
+      }
+    }, { name: 'AbortError' });
+    assert.deepStrictEqual(seen, [1]);
+  });
+
+  test('should fail pages that exceed pageTimeoutMs', async () => {
+    await assert.rejects(
+      convert(testPdfPath, { size: 64, pages: '1', pageTimeoutMs: 1 }),
+      (err) => {
+        assert(err instanceof RenderError);
+        assert.strictEqual(err.pageNumber, 1);
+        assert.strictEqual(err.cause.name, 'TimeoutError');
+        assert.match(err.message, /Timed out after 1 ms/);
+        return true;
+      },
+    );
+  });
+
+  test('should skip timed-out pages with onPageError', async () => {
+    const results = await convert(testPdfPath, {
+      size: 64,
+      pageTimeoutMs: 1,
+      onPageError: 'skip',
+    });
+    assert.strictEqual(results.length, 0);
+    assert.deepStrictEqual(results.errors.map((e) => e.pageNumber), [1, 2]);
+  });
+
+  test('should leave fast pages alone', async () => {
+    const results = await convert(testPdfPath, {
+      size: 64,
+      dpi: 72,
+      pageTimeoutMs: 60000,
+      signal: new AbortController().signal,
+    });
+    assert.strictEqual(results.length, 2);
+  });
+
+  test('should validate signal and pageTimeoutMs', async () => {
+    await assert.rejects(convert(testPdfPath, { signal: {} }), {
+      code: 'ERR_INVALID_OPTION',
+      option: 'signal',
+    });
+    await assert.rejects(convert(testPdfPath, { pageTimeoutMs: 0 }), {
+      code: 'ERR_INVALID_OPTION',
+      option: 'pageTimeoutMs',
+    });
+  });
+});
+
+describe('Progress events', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+  const smallOptions = { size: 64, dpi: 72 };
+
+  test('should report the document and every page stage in order', async () => {
+    const events = [];
+    await convert(testPdfPath, {
+      ...smallOptions,
+      concurrency: 1,
+      onProgress: (event) => events.push(event),
+    });
+    assert.deepStrictEqual(
+      events.map((e) => [e.type, e.pageNumber]),
+      [
+        ['document-loaded', undefined],
+        ['page-started', 1],
+        ['page-rendered', 1],
+        ['page-encoded', 1],
+        ['page-done', 1],
+        ['page-started', 2],
+        ['page-rendered', 2],
+        ['page-encoded', 2],
+        ['page-done', 2],
+      ],
+    );
+    assert.strictEqual(events[0].numPages, 2);
+    assert.strictEqual(events[0].pageCount, 2);
+    for (const event of events) {
+      assert(Number.isInteger(event.elapsedMs) && event.elapsedMs >= 0);
+    }
+    // Page timings grow from start to done
+    const page1 = events.filter((e) => e.pageNumber === 1);
+    assert(page1[0].elapsedMs <= page1[3].elapsedMs);
+  });
+
+  test('should report selected pages and each encoded tile', async () => {
+    const events = [];
+    for await (
+      const _ of convertIter(testPdfPath, {
+        ...smallOptions,
+        pages: '2',
+        layout: 'tile',
+        onProgress: (event) => events.push(event),
+      })
+    ) {
+      // consume
+    }
+    assert.strictEqual(events[0].pageCount, 1);
+    const encoded = events.filter((e) => e.type === 'page-encoded');
+    assert.deepStrictEqual(encoded.map((e) => e.tileIndex), [0, 1]);
+  });
+
+  test('should mark failed pages as done with their error', async () => {
+    const events = [];
+    const results = await convert(path.join(__dirname, 'broken-page.pdf'), {
+      ...smallOptions,
+      onPageError: 'skip',
+      onProgress: (event) => events.push(event),
+    });
+    const done = events.filter((e) => e.type === 'page-done');
+    assert.strictEqual(done.length, 3);
+    const failed = done.find((e) => e.error);
+    assert.strictEqual(failed.pageNumber, 2);
+    assert.deepStrictEqual(failed.error, results.errors[0]);
+  });
+
+  test('should report renderPage() stages', async () => {
+    const doc = await openPdf(testPdfPath);
+    try {
+      const types = [];
+      await doc.renderPage(1, {
+        ...smallOptions,
+        onProgress: (event) => types.push(event.type),
+      });
+      assert.deepStrictEqual(types, [
+        'page-started',
+        'page-rendered',
+        'page-encoded',
+        'page-done',
+      ]);
+    } finally {
+      await doc.close();
+    }
+  });
+
+  test('should validate onProgress', async () => {
+    await assert.rejects(convert(testPdfPath, { onProgress: 'log' }), {
+      code: 'ERR_INVALID_OPTION',
+      option: 'onProgress',
+    });
+  });
+});
+
+describe('Automatic render DPI', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+  const options = { size: 64, pages: '1', output: 'buffer' };
+  // MediaBox of the A4 test pages, in points
+  const [width, height] = [595.2756, 841.8898];
+
+  test('should render the long side at oversample x size', async () => {
+    const [auto] = await convert(testPdfPath, { ...options, dpi: 'auto' });
+    const [fixed] = await convert(testPdfPath, {
+      ...options,
+      dpi: ((2 * 64) / height) * 96,
+    });
+    assert(auto.image.equals(fixed.image));
+
+    const [sharper] = await convert(testPdfPath, {
+      ...options,
+      dpi: 'auto',
+      oversample: 4,
+    });
+    const [fixed4] = await convert(testPdfPath, {
+      ...options,
+      dpi: ((4 * 64) / height) * 96,
+    });
+    assert(sharper.image.equals(fixed4.image));
+  });
+
+  test('should use the short side for fit cover', async () => {
+    const [auto] = await convert(testPdfPath, {
+      ...options,
+      dpi: 'auto',
+      fit: 'cover',
+    });
+    const [fixed] = await convert(testPdfPath, {
+      ...options,
+      fit: 'cover',
+      dpi: ((2 * 64) / width) * 96,
+    });
+    assert(auto.image.equals(fixed.image));
+  });
+
+  test('should scale renders down to maxCanvasPixels', async () => {
+    // A single pixel of page background, stretched over the square
+    const [page] = await convert(testPdfPath, {
+      ...options,
+      maxCanvasPixels: 1,
+    });
+    const { channels } = await sharp(page.image).stats();
+    for (const { min, max } of channels) {
+      assert.strictEqual(min, max);
+    }
+  });
+
+  test('should validate dpi, oversample and maxCanvasPixels', async () => {
+    const cases = [
+      [{ dpi: 'high' }, 'dpi'],
+      [{ oversample: 0 }, 'oversample'],
+      [{ maxCanvasPixels: 1.5 }, 'maxCanvasPixels'],
+    ];
+    for (const [invalid, option] of cases) {
+      await assert.rejects(convert(testPdfPath, invalid), {
+        code: 'ERR_INVALID_OPTION',
+        option,
+      });
+    }
+  });
+});
+
+describe('Resource limits', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+  const options = { size: 64, dpi: 'auto', output: 'buffer' };
+
+  test('should refuse inputs over maxInputBytes', async () => {
+    const bytes = await fs.readFile(testPdfPath);
+    const maxInputBytes = bytes.length - 1;
+    const inputs = [
+      testPdfPath,
+      bytes,
+      bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length),
+      Readable.from([bytes.subarray(0, 1000), bytes.subarray(1000)]),
+    ];
+    for (const input of inputs) {
+      await assert.rejects(convert(input, { ...options, maxInputBytes }), {
+        name: 'LimitExceededError',
+        code: 'ERR_LIMIT_EXCEEDED',
+        limit: 'maxInputBytes',
+      });
+    }
+    await assert.rejects(
+      openPdf(testPdfPath, { maxInputBytes }),
+      LimitExceededError,
+    );
+
+    const doc = await openPdf(bytes, { maxInputBytes: bytes.length });
+    assert.strictEqual(doc.numPages, 2);
+    await doc.close();
+  });
+
+  test('should fail oversized pages with onLimit throw', async () => {
+    const limited = { ...options, maxCanvasPixels: 1000, onLimit: 'throw' };
+    await assert.rejects(convert(testPdfPath, limited), (err) => {
+      assert(err instanceof RenderError);
+      assert.strictEqual(err.pageNumber, 1);
+      assert(err.cause instanceof LimitExceededError);
+      assert.strictEqual(err.cause.limit, 'maxCanvasPixels');
+      assert.match(err.message, /over maxCanvasPixels \(1000\)/);
+      return true;
+    });
+
+    const results = await convert(testPdfPath, {
+      ...limited,
+      onPageError: 'skip',
+    });
+    assert.strictEqual(results.length, 0);
+    assert.deepStrictEqual(
+      results.errors.map((e) => e.pageNumber),
+      [1, 2],
+    );
+  });
+
+  test('should throw instead of cutting the selection short', async () => {
+    const limited = { ...options, maxPages: 1, onLimit: 'throw' };
+    for (const selection of [{}, { pages: 'all' }, { first: 1 }]) {
+      await assert.rejects(convert(testPdfPath, { ...limited, ...selection }), {
+        code: 'ERR_LIMIT_EXCEEDED',
+        limit: 'maxPages',
+        message: '2 pages selected, over maxPages (1).',
+      });
+    }
+    // Selections within the limit convert as usual
+    const [page] = await convert(testPdfPath, { ...limited, first: 2 });
+    assert.strictEqual(page.pageNumber, 2);
+    const pages = await convert(testPdfPath, { ...limited, pages: '1' });
+    assert.strictEqual(pages.length, 1);
+    // 'clamp' keeps cutting first/maxPages short
+    const clamped = await convert(testPdfPath, { ...options, maxPages: 1 });
+    assert.strictEqual(clamped.length, 1);
+  });
+
+  test('should hold pages back until their render fits maxMemoryBytes', async () => {
+    const stages = [];
+    const onProgress = (event) => {
+      if (['page-rendered', 'page-done'].includes(event.type)) {
+        stages.push(`${event.type} ${event.pageNumber}`);
+      }
+    };
+    // Every render is over budget, so they run one at a time
+    await convert(testPdfPath, {
+      ...options,
+      concurrency: 2,
+      maxMemoryBytes: 1,
+      onProgress,
+    });
+    const [first, second] = stages[0].endsWith(' 1') ? [1, 2] : [2, 1];
+    assert.deepStrictEqual(stages, [
+      `page-rendered ${first}`,
+      `page-done ${first}`,
+      `page-rendered ${second}`,
+      `page-done ${second}`,
+    ]);
+  });
+
+  test('should share the memory budget across renders of a handle', async () => {
+    const doc = await openPdf(testPdfPath, { maxMemoryBytes: 1 });
+    try {
+      const ac = new AbortController();
+      const stages = [];
+      const first = doc.renderPage(1, {
+        ...options,
+        // Page 2 is waiting for memory by the time page 1 is drawn
+        onProgress: (event) => {
+          if (event.type === 'page-rendered') ac.abort();
+        },
+      });
+      const second = doc.renderPage(2, {
+        ...options,
+        signal: ac.signal,
+        onProgress: (event) => stages.push(event.type),
+      });
+      await assert.rejects(second, { name: 'AbortError' });
+      assert.deepStrictEqual(stages, ['page-started']);
+      assert.strictEqual((await first).pageNumber, 1);
+      // The budget is free again
+      assert.strictEqual((await doc.renderPage(2, options)).pageNumber, 2);
+    } finally {
+      await doc.close();
+    }
+  });
+
+  test('should validate onLimit, maxInputBytes and maxMemoryBytes', async () => {
+    const cases = [
+      [{ onLimit: 'ignore' }, 'onLimit'],
+      [{ maxInputBytes: 0 }, 'maxInputBytes'],
+      [{ maxMemoryBytes: 1.5 }, 'maxMemoryBytes'],
+    ];
+    for (const [invalid, option] of cases) {
+      await assert.rejects(convert(testPdfPath, invalid), {
+        code: 'ERR_INVALID_OPTION',
+        option,
+      });
+    }
+    await assert.rejects(openPdf(testPdfPath, { maxMemoryBytes: -1 }), {
+      code: 'ERR_INVALID_OPTION',
+      option: 'maxMemoryBytes',
+    });
+  });
+});
+
+describe('Worker threads', () => {
+  const testPdfPath = path.join(__dirname, 'example1.pdf');
+  const options = { size: 64, dpi: 'auto', output: 'buffer', pages: 'all' };
+  const pixels = (page) => sharp(page.image).raw().toBuffer();
+
+  test('should render the same pages as the main thread', async () => {
+    for (const extra of [{}, { trim: true }, { layout: 'tile' }]) {
+      const main = await convert(testPdfPath, {
+        ...options,
+        ...extra,
+        textBoxes: true,
+      });
+      const threaded = await convert(testPdfPath, {
+        ...options,
+        ...extra,
+        textBoxes: true,
+        workers: 2,
+      });
+      assert.strictEqual(threaded.length, main.length);
+      for (const [i, page] of threaded.entries()) {
+        assert.deepStrictEqual(page.sourceRect, main[i].sourceRect);
+        assert.strictEqual(page.extractedText, main[i].extractedText);
+        // Font names, not the IDs pdf.js gives them in each copy
+        assert.deepStrictEqual(page.textBoxes, main[i].textBoxes);
+        assert.match(page.textBoxes[0].fontName, /^Helvetica/);
+        assert((await pixels(page)).equals(await pixels(main[i])));
+      }
+    }
+  });
+
+  test('should render with an openPdf() handle until it is closed', async () => {
+    const doc = await openPdf(testPdfPath, { workers: 1 });
+    const pages = await Promise.all([
+      doc.renderPage(1, options),
+      doc.renderPage(2, options),
+    ]);
+    assert.deepStrictEqual(pages.map((p) => p.pageNumber), [1, 2]);
+    await doc.close();
+    await assert.rejects(doc.renderPage(1, options), /has been closed/);
+  });
+
+  test('should isolate failed and timed-out pages', async () => {
+    const broken = await convert(path.join(__dirname, 'broken-page.pdf'), {
+      ...options,
+      workers: 2,
+      onPageError: 'skip',
+    });
+    assert.deepStrictEqual(broken.map((p) => p.pageNumber), [1, 3]);
+    assert.deepStrictEqual(broken.errors.map((e) => e.pageNumber), [2]);
+
+    await assert.rejects(
+      convert(testPdfPath, {
+        ...options,
+        dpi: 300,
+        workers: 1,
+        pageTimeoutMs: 1,
+      }),
+      (err) => {
+        assert(err instanceof RenderError);
+        assert.strictEqual(err.cause.name, 'TimeoutError');
+        return true;
+      },
+    );
+  });
+
+  test('should cancel renders on the workers', async () => {
+    const conversion = convert(testPdfPath, {
+      ...options,
+      workers: 1,
+      signal: AbortSignal.abort(),
+    });
+    await assert.rejects(conversion, { name: 'AbortError' });
+
+    const doc = await openPdf(testPdfPath, { workers: 1 });
+    try {
+      const ac = new AbortController();
+      const first = doc.renderPage(1, {
+        ...options,
+        // The worker has moved on to page 2 by then
+        onProgress: (event) => {
+          if (event.type === 'page-rendered') ac.abort();
+        },
+      });
+      const second = doc.renderPage(2, {
+        ...options,
+        dpi: 300,
+        signal: ac.signal,
+      });
+      await assert.rejects(second, { name: 'AbortError' });
+      await first;
+      // The worker is free for the next page
+      assert.strictEqual((await doc.renderPage(2, options)).pageNumber, 2);
+    } finally {
+      await doc.close();
+    }
+  });
+
+  test('should validate workers', async () => {
+    for (const workers of [-1, 1.5, '2']) {
+      await assert.rejects(convert(testPdfPath, { workers }), {
+        code: 'ERR_INVALID_OPTION',
+        option: 'workers',
+      });
+    }
+    await assert.rejects(openPdf(testPdfPath, { workers: -1 }), {
+      option: 'workers',
+    });
+  });
+});
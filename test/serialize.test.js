@@ -0,0 +1,152 @@
+/**
+ * Tests for pdf2square text serialization
+ * Run with: node --test test/serialize.test.js
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { formatText, TEXT_FORMATS } from '../serialize.js';
+
+const word = (text, x, y, extra = {}) => ({
+  text,
+  x,
+  y,
+  width: text.length * 6,
+  height: 10,
+  line: 0,
+  block: 0,
+  fontName: 'Helvetica',
+  fontSize: 10,
+  ...extra,
+});
+
+// A title block above a two-line body block with a bullet
+const page = {
+  pageNumber: 3,
+  width: 200,
+  height: 200,
+  sourceRect: { x: 0, y: 0, width: 612, height: 792 },
+  placement: { x: 24, y: 0, width: 152, height: 200 },
+  extractedText: 'Big Title\nA & B <ok>\n• item',
+  textBoxes: [
+    word('Big', 30, 10, { fontSize: 20, height: 20 }),
+    word('Title', 60, 10, { fontSize: 20, height: 20 }),
+    word('A', 30, 40, { line: 1, block: 1 }),
+    word('&', 40, 40, { line: 1, block: 1 }),
+    word('B', 50, 40, { line: 1, block: 1 }),
+    word('<ok>', 60, 40, { line: 1, block: 1 }),
+    word('•', 30, 52, { line: 2, block: 1 }),
+    word('item', 40, 52, { line: 2, block: 1 }),
+  ],
+};
+
+describe('formatText', () => {
+  test('should list the supported formats', () => {
+    assert.deepStrictEqual(TEXT_FORMATS, [
+      'txt',
+      'json',
+      'hocr',
+      'alto',
+      'markdown',
+    ]);
+  });
+
+  test('should return extractedText for txt', () => {
+    assert.strictEqual(formatText(page), page.extractedText);
+    const { textBoxes: _, ...plain } = page;
+    assert.strictEqual(formatText(plain, 'txt'), page.extractedText);
+  });
+
+  test('should need textBoxes for positioned formats', () => {
+    const { textBoxes: _, ...plain } = page;
+    for (const format of ['json', 'hocr', 'alto', 'markdown']) {
+      assert.throws(() => formatText(plain, format), /textBoxes: true/);
+    }
+  });
+
+  test('should reject unknown formats', () => {
+    assert.throws(() => formatText(page, 'pdf'), {
+      code: 'ERR_INVALID_OPTION',
+      option: 'format',
+      message: /Text format must be/,
+    });
+  });
+
+  test('should write JSON with the image name and words', () => {
+    const json = JSON.parse(formatText(page, 'json', { imageName: 'p.png' }));
+    assert.strictEqual(json.pageNumber, 3);
+    assert.strictEqual(json.image, 'p.png');
+    assert.strictEqual(json.text, page.extractedText);
+    assert.deepStrictEqual(json.words, page.textBoxes);
+  });
+
+  test('should write hOCR with nested blocks, lines and words', () => {
+    const hocr = formatText(page, 'hocr', { imageName: 'p.png' });
+    assert.match(
+      hocr,
+      /class="ocr_page" id="page_3" title="image &#34;p\.png&#34;; bbox 0 0 200 200; ppageno 2"/,
+    );
+    assert.strictEqual(hocr.match(/class="ocr_carea"/g).length, 2);
+    assert.strictEqual(hocr.match(/class="ocr_line"/g).length, 3);
+    assert.strictEqual(hocr.match(/class="ocrx_word"/g).length, 8);
+    // Line box spans its words: 'A' at x 30 to '<ok>' ending at 60 + 24
+    assert.match(hocr, /id="line_3_2" title="bbox 30 40 84 50; x_size 10"/);
+    assert.match(
+      hocr,
+      /title="bbox 30 10 48 30; x_font Helvetica; x_fsize 20">Big</,
+    );
+    assert.match(hocr, />&#38;</);
+    assert.match(hocr, />&#60;ok&#62;</);
+  });
+
+  test('should write ALTO with pixel units and font styles', () => {
+    const alto = formatText(page, 'alto', { imageName: 'p.png' });
+    assert.match(alto, /<MeasurementUnit>pixel<\/MeasurementUnit>/);
+    assert.match(alto, /<fileName>p\.png<\/fileName>/);
+    assert.match(alto, /<Page ID="page_3" PHYSICAL_IMG_NR="3" WIDTH="200"/);
+    assert.strictEqual(alto.match(/<TextStyle /g).length, 2);
+    assert.strictEqual(alto.match(/<TextBlock /g).length, 2);
+    assert.strictEqual(alto.match(/<String /g).length, 8);
+    assert.match(
+      alto,
+      /<String ID="string_3_1" HPOS="30" VPOS="10" WIDTH="18" HEIGHT="20" STYLEREFS="font0" CONTENT="Big"\/>/,
+    );
+    assert.match(alto, /CONTENT="&#60;ok&#62;"/);
+  });
+
+  test('should carry the page label into JSON and ALTO', () => {
+    const labelled = { ...page, pageLabel: 'iii' };
+    assert.strictEqual(
+      JSON.parse(formatText(labelled, 'json')).pageLabel,
+      'iii',
+    );
+    assert.match(
+      formatText(labelled, 'alto'),
+      /PHYSICAL_IMG_NR="3" PRINTED_IMG_NR="iii" WIDTH/,
+    );
+  });
+
+  test('should number tiles separately', () => {
+    const tile = { ...page, tileIndex: 1, tileCount: 2 };
+    assert.match(formatText(tile, 'hocr'), /id="page_3_t2"/);
+    assert.match(formatText(tile, 'alto'), /ID="block_3_t2_1"/);
+  });
+
+  test('should write Markdown headings and lists', () => {
+    assert.strictEqual(
+      formatText(page, 'markdown'),
+      '# Big Title\n\nA & B <ok>\n- item\n',
+    );
+  });
+
+  test('should treat a single bold line as a heading', () => {
+    const bold = {
+      ...page,
+      textBoxes: [
+        word('Section', 30, 10, { fontName: 'Helvetica-Bold' }),
+        word('Body', 30, 40, { line: 1, block: 1 }),
+      ],
+    };
+    assert.strictEqual(formatText(bold, 'markdown'), '## Section\n\nBody\n');
+  });
+});
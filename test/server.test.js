@@ -0,0 +1,220 @@
+/**
+ * Tests for the pdf2square HTTP server
+ * Run with: node --test test/server.test.js
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createServer } from '../server.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const examplePdf = path.join(__dirname, 'example1.pdf');
+// Four pages
+const labelsPdf = path.join(__dirname, 'page-labels.pdf');
+
+// Start a server on a free localhost port; returns its base URL and a stop()
+async function start(options) {
+  const server = createServer(options);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    stop: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+describe('pdf2square server', () => {
+  let pdf;
+  let server;
+
+  before(async () => {
+    pdf = await fs.readFile(examplePdf);
+    server = await start({ maxPages: 2 });
+  });
+
+  after(() => server.stop());
+
+  const post = (query, body, headers) =>
+    fetch(`${server.url}/convert${query}`, { method: 'POST', body, headers });
+
+  test('should answer /healthz', async () => {
+    const response = await fetch(`${server.url}/healthz`);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { status: 'ok' });
+  });
+
+  test('should convert a raw PDF with options from the query', async () => {
+    const response = await post('?size=64&format=jpg&encoder.quality=50', pdf);
+    assert.strictEqual(response.status, 200);
+    const { numPages, pages, errors } = await response.json();
+    assert.strictEqual(numPages, 2);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(pages.map((p) => p.pageNumber), [1, 2]);
+    assert.strictEqual(pages[0].width, 64);
+    assert.strictEqual(pages[0].mimeType, 'image/jpeg');
+    assert.match(pages[0].base64EncodedImage, /^data:image\/jpeg;base64,/);
+  });
+
+  test('should convert a multipart upload with JSON options', async () => {
+    const form = new FormData();
+    form.append('options', JSON.stringify({ pages: '2', output: 'base64' }));
+    form.append('size', '32');
+    form.append('file', new Blob([pdf]), 'upload.pdf');
+    const response = await post('?textBoxes=lines', form);
+    assert.strictEqual(response.status, 200);
+    const { pages } = await response.json();
+    assert.strictEqual(pages.length, 1);
+    assert.strictEqual(pages[0].pageNumber, 2);
+    assert.strictEqual(pages[0].width, 32);
+    assert(!pages[0].base64EncodedImage.startsWith('data:'));
+    assert(Array.isArray(pages[0].textBoxes));
+  });
+
+  test('should stream pages as NDJSON', async () => {
+    const response = await post('?size=32', pdf, {
+      Accept: 'application/x-ndjson',
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(
+      response.headers.get('content-type'),
+      'application/x-ndjson',
+    );
+    const lines = (await response.text()).trim().split('\n').map(JSON.parse);
+    assert.deepStrictEqual(lines.map((l) => l.pageNumber), [1, 2, undefined]);
+    assert.deepStrictEqual(lines[2], { numPages: 2, errors: [] });
+  });
+
+  test('should answer errors with the status of their code', async () => {
+    const cases = [
+      ['?size=abc', pdf, 400, 'ERR_INVALID_OPTION'],
+      ['?concurrency=64', pdf, 400, 'ERR_INVALID_OPTION'],
+      ['?output=buffer', pdf, 400, 'ERR_INVALID_OPTION'],
+      ['?pages=9', pdf, 422, 'ERR_PAGE_RANGE'],
+      ['', Buffer.from('not a pdf'), 422, 'ERR_INVALID_PDF'],
+    ];
+    for (const [query, body, status, code] of cases) {
+      const response = await post(query, body);
+      assert.strictEqual(response.status, status, query);
+      assert.strictEqual((await response.json()).error.code, code, query);
+    }
+    const form = new FormData();
+    form.append('size', '32');
+    const noFile = await post('', form);
+    assert.strictEqual(noFile.status, 400);
+    assert.strictEqual((await noFile.json()).error.code, 'ERR_BAD_REQUEST');
+
+    assert.strictEqual((await fetch(`${server.url}/convert`)).status, 405);
+    assert.strictEqual((await fetch(`${server.url}/nope`)).status, 404);
+  });
+
+  test('should refuse more pages than maxPages allows', async () => {
+    const fourPages = await fs.readFile(labelsPdf);
+    for (const query of ['?maxPages=3', '?pages=all']) {
+      const response = await post(query, fourPages);
+      assert.strictEqual(response.status, 413, query);
+      const { error } = await response.json();
+      assert.strictEqual(error.limit, 'maxPages');
+    }
+  });
+
+  test('should refuse sizes and tiles over the server limits', async () => {
+    const cases = [
+      ['?size=4096', 'maxSize'],
+      ['?options={"size":2049}', 'maxSize'],
+      ['?layout=tile&maxTiles=9', 'maxTiles'],
+    ];
+    for (const [query, limit] of cases) {
+      const response = await post(query, pdf);
+      assert.strictEqual(response.status, 413, query);
+      const { error } = await response.json();
+      assert.strictEqual(error.code, 'ERR_LIMIT_EXCEEDED', query);
+      assert.strictEqual(error.limit, limit, query);
+    }
+  });
+
+  test('should keep the default size within maxSize', async () => {
+    const small = await start({ maxSize: 48 });
+    try {
+      const response = await fetch(`${small.url}/convert?pages=1&dpi=72`, {
+        method: 'POST',
+        body: pdf,
+      });
+      assert.strictEqual(response.status, 200);
+      const { pages } = await response.json();
+      assert.strictEqual(pages[0].width, 48);
+    } finally {
+      await small.stop();
+    }
+  });
+
+  test('should take passwords from a header or form field only', async () => {
+    // User password 'secret'
+    const encrypted = await fs.readFile(path.join(__dirname, 'encrypted.pdf'));
+    for (
+      const query of ['?password=secret', '?options={"password":"secret"}']
+    ) {
+      const response = await post(query, encrypted);
+      assert.strictEqual(response.status, 400, query);
+      assert.strictEqual((await response.json()).error.code, 'ERR_BAD_REQUEST');
+    }
+
+    const viaHeader = await post('?size=32', encrypted, {
+      'X-PDF-Password': 'secret',
+    });
+    assert.strictEqual(viaHeader.status, 200);
+
+    const form = new FormData();
+    form.append('password', 'secret');
+    form.append('size', '32');
+    form.append('file', new Blob([encrypted]), 'locked.pdf');
+    assert.strictEqual((await post('', form)).status, 200);
+  });
+
+  test('should refuse uploads over maxUploadBytes', async () => {
+    const small = await start({ maxUploadBytes: 1000 });
+    try {
+      const response = await fetch(`${small.url}/convert`, {
+        method: 'POST',
+        body: pdf,
+      });
+      assert.strictEqual(response.status, 413);
+      const { error } = await response.json();
+      assert.strictEqual(error.code, 'ERR_LIMIT_EXCEEDED');
+      assert.strictEqual(error.limit, 'maxUploadBytes');
+    } finally {
+      await small.stop();
+    }
+  });
+
+  test('should give up on conversions over timeoutMs', async () => {
+    const errors = [];
+    const slow = await start({
+      timeoutMs: 5,
+      onError: (err) => errors.push(err),
+    });
+    try {
+      const response = await fetch(`${slow.url}/convert?dpi=600`, {
+        method: 'POST',
+        body: pdf,
+      });
+      assert.strictEqual(response.status, 504);
+      assert.strictEqual((await response.json()).error.code, 'ERR_TIMEOUT');
+      assert.strictEqual(errors.length, 1);
+    } finally {
+      await slow.stop();
+    }
+  });
+
+  test('should reject invalid server limits', () => {
+    assert.throws(() => createServer({ maxPages: 0 }), {
+      code: 'ERR_INVALID_OPTION',
+      option: 'maxPages',
+    });
+    assert.throws(() => createServer({ maxSize: 1.5 }), {
+      code: 'ERR_INVALID_OPTION',
+      option: 'maxSize',
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Tests for pdf2square text reconstruction
+ * Run with: node --test test/text.test.js
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { reconstructText, TEXT_MODES, textBoxes } from '../text.js';
+
+// A PDF.js-like text item; glyphs are half the font size wide
+const item = (str, x, y, { size = 10, hasEOL = false, width } = {}) => ({
+  str,
+  dir: 'ltr',
+  transform: [size, 0, 0, size, x, y],
+  width: width ?? str.length * size * 0.5,
+  height: size,
+  fontName: 'g_d0_f1',
+  hasEOL,
+});
+const eol = () => ({ ...item('', 0, 0), width: 0, hasEOL: true });
+
+describe('reconstructText', () => {
+  test('should list the supported modes', () => {
+    assert.deepStrictEqual(TEXT_MODES, ['raw', 'lines', 'layout']);
+  });
+
+  test('should keep the item-per-line output in raw mode', () => {
+    const items = [item('Hel', 0, 100), item('lo', 15, 100)];
+    assert.strictEqual(reconstructText(items), 'Hel\nlo');
+    assert.strictEqual(reconstructText(items, 'raw'), 'Hel\nlo');
+  });
+
+  test('should join split words and space separate ones', () => {
+    const items = [
+      item('Hel', 0, 100), // ends at 15
+      item('lo', 15, 100), // touching: same word
+      item('world', 35, 100), // 10pt gap: new word
+    ];
+    assert.strictEqual(reconstructText(items, 'lines'), 'Hello world');
+  });
+
+  test('should not double spaces already in the text', () => {
+    const items = [item('Hello ', 0, 100), item('world', 40, 100)];
+    assert.strictEqual(reconstructText(items, 'lines'), 'Hello world');
+  });
+
+  test('should break lines on hasEOL and baseline changes', () => {
+    const items = [
+      item('first', 0, 100),
+      eol(),
+      item('second', 0, 100),
+      item('third', 0, 86),
+    ];
+    assert.strictEqual(
+      reconstructText(items, 'lines'),
+      'first\nsecond\nthird',
+    );
+  });
+
+  test('should keep stream order in lines mode', () => {
+    const items = [item('below', 0, 50), item('above', 0, 100)];
+    assert.strictEqual(reconstructText(items, 'lines'), 'below\nabove');
+    assert.strictEqual(reconstructText(items, 'layout'), 'above\n\nbelow');
+  });
+
+  test('should read two columns one after the other in layout mode', () => {
+    // Rows are interleaved in the stream, as many producers write them
+    const items = [];
+    for (let row = 0; row < 3; row++) {
+      const y = 700 - row * 14;
+      items.push(item(`left column line ${row + 1}`, 50, y));
+      items.push(item(`right column line ${row + 1}`, 320, y));
+    }
+    assert.strictEqual(
+      reconstructText(items, 'layout'),
+      [
+        'left column line 1',
+        'left column line 2',
+        'left column line 3',
+        '',
+        'right column line 1',
+        'right column line 2',
+        'right column line 3',
+      ].join('\n'),
+    );
+  });
+
+  test('should keep a heading above its columns', () => {
+    const items = [
+      item('Heading across the page', 50, 740, { size: 20 }),
+      item('left body text here', 50, 700),
+      item('right body text here', 320, 700),
+    ];
+    assert.strictEqual(
+      reconstructText(items, 'layout'),
+      'Heading across the page\n\nleft body text here\n\nright body text here',
+    );
+  });
+
+  test('should separate paragraphs by vertical whitespace', () => {
+    const items = [
+      item('Paragraph one, line one', 50, 700),
+      item('paragraph one, line two', 50, 686),
+      item('Paragraph two, line one', 50, 650),
+      item('paragraph two, line two', 50, 636),
+    ];
+    assert.strictEqual(
+      reconstructText(items, 'layout'),
+      'Paragraph one, line one\nparagraph one, line two\n\n' +
+        'Paragraph two, line one\nparagraph two, line two',
+    );
+  });
+
+  test('should keep bullets inline with their text', () => {
+    const items = [
+      item('•', 50, 700),
+      item('First point', 62, 700),
+      item('•', 50, 686),
+      item('Second point', 62, 686),
+    ];
+    assert.strictEqual(
+      reconstructText(items, 'layout'),
+      '• First point\n• Second point',
+    );
+  });
+
+  test('should ignore marked-content items', () => {
+    const items = [
+      { type: 'beginMarkedContent', tag: 'P' },
+      item('text', 0, 100),
+      { type: 'endMarkedContent' },
+    ];
+    for (const mode of TEXT_MODES) {
+      assert.strictEqual(reconstructText(items, mode), 'text');
+    }
+  });
+
+  test('should return an empty string for pages without text', () => {
+    for (const mode of TEXT_MODES) {
+      assert.strictEqual(reconstructText([], mode), '');
+    }
+  });
+});
+
+describe('textBoxes', () => {
+  test('should box words across and within items', () => {
+    const items = [
+      item('Hel', 0, 100), // 0-15
+      item('lo world', 15, 100), // 15-55
+    ];
+    const words = textBoxes(items);
+    assert.deepStrictEqual(words.map((w) => w.text), ['Hello', 'world']);
+    const xs = (w) => w.points.map(([x]) => x);
+    assert.strictEqual(Math.min(...xs(words[0])), 0);
+    assert.strictEqual(Math.max(...xs(words[0])), 15 + 2 * 5);
+    assert.strictEqual(Math.min(...xs(words[1])), 15 + 3 * 5);
+    assert.strictEqual(Math.max(...xs(words[1])), 55);
+  });
+
+  test('should use the font ascent and descent', () => {
+    const styles = { g_d0_f1: { ascent: 0.7, descent: -0.3 } };
+    const [word] = textBoxes([item('word', 0, 100)], styles);
+    const ys = word.points.map(([, y]) => y);
+    assert.strictEqual(Math.min(...ys), 97);
+    assert.strictEqual(Math.max(...ys), 107);
+    assert.strictEqual(word.fontSize, 10);
+    assert.strictEqual(word.fontName, 'g_d0_f1');
+  });
+
+  test('should follow rotated text', () => {
+    // Rotated 90°: the baseline runs upwards from (100, 0)
+    const rotated = {
+      ...item('up', 0, 0),
+      transform: [0, 10, -10, 0, 100, 0],
+    };
+    const [word] = textBoxes([rotated]);
+    const xs = word.points.map(([x]) => x);
+    const ys = word.points.map(([, y]) => y);
+    assert.deepStrictEqual([Math.min(...ys), Math.max(...ys)], [0, 10]);
+    assert(Math.max(...xs) - Math.min(...xs) === 10);
+  });
+
+  test('should number lines and box whole lines', () => {
+    const items = [
+      item('first line', 0, 100, { hasEOL: true }),
+      item('second', 0, 86),
+    ];
+    const words = textBoxes(items);
+    assert.deepStrictEqual(words.map((w) => w.line), [0, 0, 1]);
+    const lines = textBoxes(items, {}, 'lines');
+    assert.deepStrictEqual(
+      lines.map((l) => [l.text, l.line]),
+      [['first line', 0], ['second', 1]],
+    );
+  });
+});
@@ -0,0 +1,352 @@
+/**
+ * pdf2square text reconstruction - rebuilds words, lines, paragraphs and
+ * column order from PDF.js text items using their positions
+ *
+ * Geometry is in PDF user space: x grows right, y grows up, and an item's
+ * transform[4..5] is the left end of its baseline.
+ */
+
+/** Text modes accepted by reconstructText() */
+export const TEXT_MODES = ['raw', 'lines', 'layout'];
+
+// Gaps are measured in multiples of the font size
+const WORD_GAP = 0.15; // wider than this between items means a space
+const BASELINE_TOLERANCE = 0.5; // baselines closer than this share a line
+const COLUMN_GAP = 1.0; // horizontal whitespace that separates columns
+const MIN_COLUMN_WIDTH = 4; // narrower "columns" (bullets, numbers) stay inline
+const PARAGRAPH_GAP = 0.5; // vertical whitespace that separates blocks...
+const PARAGRAPH_RATIO = 1.5; // ...if also this much above the usual line gap
+const MAX_LINE_GAP = 0.6; // wider gaps are never taken as the usual line gap
+// Glyph extent around the baseline when the font does not report its own
+const ASCENT = 0.8;
+const DESCENT = -0.2;
+
+/**
+ * Turn PDF.js text items into plain text.
+ *  - 'raw': every item on its own line, in content-stream order
+ *  - 'lines': content-stream order, items joined into lines by baseline and
+ *    hasEOL, with spaces inserted by gap width
+ *  - 'layout': lines rebuilt geometrically, blocks split on whitespace and
+ *    read column by column, paragraphs separated by blank lines
+ * @param {Array<Object>} items - PDF.js TextContent items
+ * @param {'raw' | 'lines' | 'layout'} [mode='raw'] - Reconstruction mode
+ * @returns {string} Page text
+ */
+export function reconstructText(items, mode = 'raw') {
+  if (mode === 'raw') {
+    return items
+      .map((it) => ('str' in it ? it.str : ''))
+      .join('\n')
+      .trim();
+  }
+  const runs = toRuns(items);
+  if (mode === 'lines') {
+    return streamLines(runs).map(lineText).join('\n').trim();
+  }
+  return layoutBlocks(runs)
+    .map((block) => blockLines(block).map(lineText).join('\n'))
+    .filter((text) => text.trim() !== '')
+    .join('\n\n')
+    .trim();
+}
+
+/**
+ * Locate the words (or lines) of a page. Lines follow the 'lines' mode of
+ * reconstructText(); words split at whitespace and join across items that
+ * touch. Item widths are shared evenly between their characters. Each box
+ * also records its block (paragraph or column) in 'layout' reading order.
+ * @param {Array<Object>} items - PDF.js TextContent items
+ * @param {Record<string, Object>} [styles={}] - PDF.js TextContent styles (font ascent/descent)
+ * @param {'words' | 'lines'} [granularity='words'] - One box per word or per line
+ * @returns {Array<{text: string, line: number, block: number, fontName: string, fontSize: number, points: number[][]}>}
+ *   Boxes with the corners of their glyph boxes in PDF user space
+ */
+export function textBoxes(items, styles = {}, granularity = 'words') {
+  const runs = toRuns(items);
+  const blockOf = new Map();
+  layoutBlocks(runs).forEach((segments, block) => {
+    for (const segment of segments) {
+      for (const run of segment.runs) blockOf.set(run, block);
+    }
+  });
+
+  const boxes = [];
+  streamLines(runs).forEach((lineRuns, line) => {
+    const words = lineWords(lineRuns, styles, line, blockOf);
+    if (granularity === 'words') {
+      boxes.push(...words);
+    } else if (words.length > 0) {
+      boxes.push({
+        text: lineText(lineRuns).trim(),
+        line,
+        block: words[0].block,
+        fontName: words[0].fontName,
+        fontSize: Math.max(...lineRuns.map((r) => r.fontSize)),
+        points: words.flatMap((w) => w.points),
+      });
+    }
+  });
+  return boxes;
+}
+
+/* ----------------- Helper Functions ----------------- */
+
+// Normalize text items into positioned runs. Empty items only carry a line
+// break, which is folded into the run before them.
+function toRuns(items) {
+  const runs = [];
+  for (const item of items) {
+    if (!('str' in item)) continue;
+    if (item.str === '') {
+      if (item.hasEOL && runs.length > 0) {
+        runs[runs.length - 1].hasEOL = true;
+      }
+      continue;
+    }
+    const [, , c, d, x, y] = item.transform;
+    runs.push({
+      str: item.str,
+      x,
+      y,
+      width: item.width,
+      fontSize: Math.hypot(c, d) || item.height || 1,
+      fontName: item.fontName,
+      transform: item.transform,
+      hasEOL: Boolean(item.hasEOL),
+    });
+  }
+  return runs;
+}
+
+function sameBaseline(a, b) {
+  return Math.abs(a.y - b.y) <=
+    BASELINE_TOLERANCE * Math.min(a.fontSize, b.fontSize);
+}
+
+// Group runs into lines in content-stream order
+function streamLines(runs) {
+  const lines = [];
+  let prev = null;
+  for (const run of runs) {
+    if (!prev || prev.hasEOL || !sameBaseline(prev, run)) {
+      lines.push([run]);
+    } else {
+      lines[lines.length - 1].push(run);
+    }
+    prev = run;
+  }
+  return lines;
+}
+
+// Join the runs of one line, adding a space wherever the gap looks like one
+function lineText(runs) {
+  let text = '';
+  let prev = null;
+  for (const run of runs) {
+    if (prev && needsSpace(prev, run)) {
+      text += ' ';
+    }
+    text += run.str;
+    prev = run;
+  }
+  return text.trimEnd();
+}
+
+// Words of one line. A word that reaches the end of its run continues into
+// the next run unless a space belongs between them.
+function lineWords(runs, styles, line, blockOf) {
+  const words = [];
+  let prev = null;
+  let open = null;
+  for (const run of runs) {
+    const charWidth = run.width / run.str.length;
+    for (const m of run.str.matchAll(/\S+/g)) {
+      const points = glyphCorners(
+        run,
+        m.index * charWidth,
+        (m.index + m[0].length) * charWidth,
+        styles[run.fontName],
+      );
+      if (open && m.index === 0 && !needsSpace(prev, run)) {
+        open.text += m[0];
+        open.points.push(...points);
+      } else {
+        open = {
+          text: m[0],
+          line,
+          block: blockOf.get(run),
+          fontName: run.fontName,
+          fontSize: run.fontSize,
+          points,
+        };
+        words.push(open);
+      }
+    }
+    if (/\s$/.test(run.str)) open = null;
+    prev = run;
+  }
+  return words;
+}
+
+// Corners of the glyph box from `from` to `to` along a run's baseline,
+// following the run's direction so rotated text is boxed correctly
+function glyphCorners(run, from, to, style) {
+  const [a, b, c, d, x, y] = run.transform;
+  const along = Math.hypot(a, b);
+  const up = Math.hypot(c, d);
+  const [ux, uy] = along ? [a / along, b / along] : [1, 0];
+  const [vx, vy] = up ? [c / up, d / up] : [0, 1];
+  const bottom = (style?.descent || DESCENT) * run.fontSize;
+  const top = (style?.ascent || ASCENT) * run.fontSize;
+  const corners = [];
+  for (const s of [from, to]) {
+    for (const t of [bottom, top]) {
+      corners.push([x + ux * s + vx * t, y + uy * s + vy * t]);
+    }
+  }
+  return corners;
+}
+
+function needsSpace(prev, run) {
+  if (/\s$/.test(prev.str) || /^\s/.test(run.str)) return false;
+  const gap = run.x - (prev.x + prev.width);
+  const fontSize = Math.min(prev.fontSize, run.fontSize);
+  // A jump backwards (e.g. after a superscript) still separates words
+  return gap > WORD_GAP * fontSize || gap < -fontSize;
+}
+
+// Group runs into baseline rows (top to bottom) and split each row wherever
+// a column-sized gap separates its runs.
+function buildSegments(runs) {
+  const rows = [];
+  const byTop = [...runs].sort((a, b) => b.y - a.y || a.x - b.x);
+  for (const run of byTop) {
+    const row = rows.find((r) => sameBaseline(r[0], run));
+    if (row) {
+      row.push(run);
+    } else {
+      rows.push([run]);
+    }
+  }
+
+  const segments = [];
+  for (const row of rows) {
+    row.sort((a, b) => a.x - b.x);
+    let current = [row[0]];
+    for (let i = 1; i < row.length; i++) {
+      const prev = row[i - 1];
+      const gap = row[i].x - (prev.x + prev.width);
+      if (gap > COLUMN_GAP * Math.max(prev.fontSize, row[i].fontSize)) {
+        segments.push(toSegment(current));
+        current = [];
+      }
+      current.push(row[i]);
+    }
+    segments.push(toSegment(current));
+  }
+  return segments;
+}
+
+function toSegment(runs) {
+  const fontSize = Math.max(...runs.map((r) => r.fontSize));
+  const y = runs[0].y;
+  return {
+    runs,
+    fontSize,
+    x0: Math.min(...runs.map((r) => r.x)),
+    x1: Math.max(...runs.map((r) => r.x + r.width)),
+    // Approximate glyph box: descenders below, ascenders above the baseline
+    bottom: y + DESCENT * fontSize,
+    top: y + ASCENT * fontSize,
+  };
+}
+
+// Order segments into reading-order blocks with a recursive XY-cut:
+// split at the leftmost column gutter first, otherwise below the topmost
+// paragraph gap, until neither exists.
+function layoutBlocks(runs) {
+  const blocks = [];
+  const cut = (segments) => {
+    if (segments.length === 0) return;
+    const fontSize = median(segments.map((s) => s.fontSize));
+    const column = findColumnGap(segments, fontSize);
+    if (column !== null) {
+      cut(segments.filter((s) => s.x1 <= column));
+      cut(segments.filter((s) => s.x1 > column));
+      return;
+    }
+    const paragraph = findParagraphGap(segments, fontSize);
+    if (paragraph !== null) {
+      cut(segments.filter((s) => s.bottom >= paragraph));
+      cut(segments.filter((s) => s.bottom < paragraph));
+      return;
+    }
+    blocks.push(segments);
+  };
+  cut(buildSegments(runs));
+  return blocks;
+}
+
+// x of the leftmost vertical whitespace band crossing every segment
+function findColumnGap(segments, fontSize) {
+  const sorted = [...segments].sort((a, b) => a.x0 - b.x0);
+  const left = sorted[0].x0;
+  const right = Math.max(...segments.map((s) => s.x1));
+  let reach = sorted[0].x1;
+  for (const segment of sorted.slice(1)) {
+    if (
+      segment.x0 - reach >= COLUMN_GAP * fontSize &&
+      reach - left >= MIN_COLUMN_WIDTH * fontSize &&
+      right - segment.x0 >= MIN_COLUMN_WIDTH * fontSize
+    ) {
+      return reach;
+    }
+    reach = Math.max(reach, segment.x1);
+  }
+  return null;
+}
+
+// y of the topmost horizontal whitespace band crossing every segment that
+// is clearly taller than the usual gap between lines
+function findParagraphGap(segments, fontSize) {
+  const sorted = [...segments].sort((a, b) => b.top - a.top);
+  const bands = [];
+  let reach = sorted[0].bottom;
+  for (const segment of sorted.slice(1)) {
+    if (segment.top < reach) {
+      bands.push({ y: reach, height: reach - segment.top });
+    }
+    reach = Math.min(reach, segment.bottom);
+  }
+  if (bands.length === 0) return null;
+
+  const threshold = Math.max(
+    PARAGRAPH_GAP * fontSize,
+    PARAGRAPH_RATIO *
+      Math.min(median(bands.map((b) => b.height)), MAX_LINE_GAP * fontSize),
+  );
+  const band = bands.find((b) => b.height >= threshold);
+  return band ? band.y : null;
+}
+
+// Lines of a block, top to bottom, each a left-to-right list of runs
+function blockLines(segments) {
+  const lines = [];
+  const byTop = [...segments].sort((a, b) =>
+    b.runs[0].y - a.runs[0].y || a.x0 - b.x0
+  );
+  for (const segment of byTop) {
+    const line = lines.find((l) => sameBaseline(l[0], segment.runs[0]));
+    if (line) {
+      line.push(...segment.runs);
+    } else {
+      lines.push([...segment.runs]);
+    }
+  }
+  return lines.map((line) => line.sort((a, b) => a.x - b.x));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}